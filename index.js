@@ -5,26 +5,50 @@
  *
  * Usage:
  *   clawsidian save <url> [options]
+ *   clawsidian save --file <page.html> --url <url> [options]
  *   clawsidian save --process-queue [options]
+ *   clawsidian queue <list|remove|clear|retry> [options]
+ *   clawsidian refresh <file|url> [options]
+ *   clawsidian refresh --partial [options]
+ *   clawsidian reindex [options]
+ *   clawsidian search <query> [options]
  */
 
 import { parseArgs } from 'node:util';
-import { mkdir } from 'node:fs/promises';
+import { mkdir, readFile } from 'node:fs/promises';
 import { existsSync } from 'node:fs';
-import { join, resolve } from 'node:path';
+import { join, resolve, dirname, relative, isAbsolute, sep } from 'node:path';
 import { homedir } from 'node:os';
 
-import { normalizeUrl, isValidUrl, extractDomain } from './lib/normalize.js';
-import { fetchArticle } from './lib/fetcher.js';
+import { normalizeUrl, isValidUrl, extractDomain, resolveUrlAliases, isOwnPageUrl } from './lib/normalize.js';
+import { fetchArticle, extractArticle, isPermanentStatus, MAX_RESPONSE_BYTES } from './lib/fetcher.js';
 import { extractMetadata } from './lib/metadata.js';
-import { generateFilename } from './lib/slugify.js';
-import { buildFrontmatter } from './lib/frontmatter.js';
+import { generateFilename, compileLayout, DEFAULT_FOLDER } from './lib/slugify.js';
+import { parseFrontmatter } from './lib/frontmatter.js';
+import { loadTemplate, selectTemplate, renderTemplate } from './lib/template.js';
+import { renderNote, mergeNote, splitRegions, isPlaceholderTags } from './lib/note.js';
 import { findDuplicate } from './lib/duplicate.js';
-import { extractKeywords } from './lib/keywords.js';
-import { readQueue, addToQueue, writeQueue } from './lib/queue.js';
+import { extractKeywords, loadCorpus } from './lib/keywords.js';
+import { collectTags, suggestTags } from './lib/tagging.js';
+import {
+  readQueue, addToQueue, writeQueue, removeFromQueue, clearQueue,
+  readDeadLetter, writeDeadLetter, clearDeadLetter, isEligible, recordFailure,
+  migrateQueue, queuePath, deadLetterPath,
+} from './lib/queue.js';
+import { recordArticle, rebuildIndex, listNotes, contentHash } from './lib/urlindex.js';
+import { searchArticles } from './lib/search.js';
+import { runPool } from './lib/pool.js';
+import { withVaultLock } from './lib/lock.js';
+import { loadRules } from './lib/rules.js';
 import { summarizeContent } from './lib/summarize.js';
 import { resolveConfig } from './lib/config.js';
 import { runInit } from './lib/init.js';
+import { fetchImages, localizeImages, saveAttachment } from './lib/images.js';
+import { extractPdf, isPdf, MAX_PDF_BYTES } from './lib/pdf.js';
+import { atomicWrite } from './lib/atomic.js';
+import { hubLink, addToHub } from './lib/hubs.js';
+import { registerPropertyTypes } from './lib/obsidian.js';
+import { logToDailyNote } from './lib/daily.js';
 import { writeFile } from 'node:fs/promises';
 
 // --- Argument Parsing ---
@@ -37,8 +61,24 @@ const { values, positionals } = parseArgs({
     json: { type: 'boolean', default: false },
     queue: { type: 'boolean', default: false },
     'process-queue': { type: 'boolean', default: false },
+    file: { type: 'string' },
+    stdin: { type: 'boolean', default: false },
+    url: { type: 'string' },
+    'failed-only': { type: 'boolean', default: false },
+    partial: { type: 'boolean', default: false },
+    force: { type: 'boolean', default: false },
+    concurrency: { type: 'string' },
     'no-summary': { type: 'boolean', default: false },
     'dry-run': { type: 'boolean', default: false },
+    images: { type: 'boolean', default: false },
+    'keep-pdf': { type: 'boolean', default: false },
+    template: { type: 'string' },
+    obsidian: { type: 'boolean', default: false },
+    daily: { type: 'boolean', default: false },
+    tag: { type: 'string' },
+    source: { type: 'string' },
+    since: { type: 'string' },
+    limit: { type: 'string' },
     help: { type: 'boolean', short: 'h', default: false },
     yes: { type: 'boolean', short: 'y', default: false },
   },
@@ -59,19 +99,49 @@ if (subcommand === 'init') {
   process.exit(0);
 }
 
-if (subcommand !== 'save') {
-  output({ success: false, error: `Unknown command: ${subcommand}. Available: init, save` });
+const COMMANDS = ['init', 'save', 'queue', 'refresh', 'reindex', 'search'];
+const QUEUE_ACTIONS = ['list', 'remove', 'clear', 'retry'];
+
+if (!COMMANDS.includes(subcommand)) {
+  output({ success: false, error: `Unknown command: ${subcommand}. Available: ${COMMANDS.join(', ')}` });
   process.exit(1);
 }
 
 // Resolve config: CLI flags > env vars > config file > defaults
 const config = await resolveConfig(values);
 const vaultPath = resolve(config.vault);
+const siteRules = await loadRules();
+
+// Where notes go; the notes root also holds the index, queue and lock
+let layout;
+try {
+  layout = compileLayout(config);
+} catch (err) {
+  output({ success: false, error: `Invalid folder or filename pattern: ${err.message}` });
+  process.exit(1);
+}
+const dataDir = join(vaultPath, layout.root);
+// Dry runs read the vault's caches without updating them
+const store = { root: layout.root, rules: config.urlRules, readOnly: values['dry-run'] };
+
+// Tags already used in the vault, ranked on first use by LLM tagging
+let tagVocabulary;
+// Term statistics and tags of saved notes (keyword scoring, LLM tagging), read on first use
+let keywordCorpus;
 
 try {
-  await ensureArticlesDir();
+  await ensureNotesRoot();
+  await adoptOldQueue();
 
-  if (values['process-queue']) {
+  if (subcommand === 'refresh') {
+    await refresh();
+  } else if (subcommand === 'reindex') {
+    await reindex();
+  } else if (subcommand === 'search') {
+    await search();
+  } else if (subcommand === 'queue') {
+    await queueCommand();
+  } else if (values['process-queue']) {
     await processQueue();
   } else if (values.queue) {
     await queueUrl();
@@ -79,13 +149,19 @@ try {
     await saveArticle();
   }
 } catch (err) {
-  output({ success: false, error: `Unexpected error: ${err.message}` });
+  const error = err.code === 'ELOCKED' ? err.message : `Unexpected error: ${err.message}`;
+  output({ success: false, error });
   process.exit(1);
 }
 
 // --- Commands ---
 
 async function saveArticle() {
+  if (values.file || values.stdin) {
+    await saveSuppliedInput();
+    return;
+  }
+
   if (!urlArg) {
     output({ success: false, error: 'No URL provided. Usage: clawsidian save <url>' });
     process.exit(1);
@@ -96,6 +172,41 @@ async function saveArticle() {
   process.exit(result.success ? 0 : 1);
 }
 
+/**
+ * Save HTML or a PDF the caller already has (--file or --stdin) under its
+ * canonical URL.
+ */
+async function saveSuppliedInput() {
+  const url = values.url || urlArg;
+  if (!url) {
+    output({ success: false, error: 'No URL provided. Usage: clawsidian save --file <page.html> --url <url>' });
+    process.exit(1);
+  }
+
+  if (values.file && values.stdin) {
+    output({ success: false, error: 'Use either --file or --stdin, not both' });
+    process.exit(1);
+  }
+
+  let data;
+  try {
+    data = values.file ? await readFile(values.file) : await readStdin();
+  } catch (err) {
+    output({ success: false, error: `Could not read ${values.file || 'stdin'}: ${err.message}` });
+    process.exit(1);
+  }
+
+  const pdf = isPdf(data);
+  if (data.length > (pdf ? MAX_PDF_BYTES : MAX_RESPONSE_BYTES)) {
+    output({ success: false, error: 'Input too large', url });
+    process.exit(1);
+  }
+
+  const result = await saveUrl(url, pdf ? { pdf: data } : { html: data.toString('utf-8') });
+  output(result);
+  process.exit(result.success ? 0 : 1);
+}
+
 async function queueUrl() {
   if (!urlArg) {
     output({ success: false, error: 'No URL provided. Usage: clawsidian save --queue <url>' });
@@ -107,7 +218,7 @@ async function queueUrl() {
     process.exit(1);
   }
 
-  const result = await addToQueue(vaultPath, urlArg);
+  const result = await locked(() => addToQueue(dataDir, urlArg));
   if (result.added) {
     output({ success: true, queued: true, url: urlArg, message: 'URL added to queue' });
   } else {
@@ -116,29 +227,71 @@ async function queueUrl() {
   }
 }
 
-async function processQueue() {
-  const queue = await readQueue(vaultPath);
+async function processQueue({ failedOnly = false, force = false } = {}) {
+  const queue = await readQueue(dataDir);
+  const candidates = failedOnly ? queue.filter(item => item.attempts || item.lastError) : queue;
 
-  if (queue.length === 0) {
-    output({ success: true, processed: 0, message: 'Queue is empty' });
+  // Items still in their backoff window wait unless the retry is forced
+  const now = Date.now();
+  const selected = force ? candidates : candidates.filter(item => isEligible(item, now));
+  const deferred = candidates.length - selected.length;
+
+  if (selected.length === 0) {
+    let message = failedOnly ? 'No failed items in queue' : 'Queue is empty';
+    if (deferred > 0) message = `${deferred} queued URL${deferred === 1 ? ' is' : 's are'} waiting to be retried`;
+    output({ success: true, processed: 0, deferred, message });
     return;
   }
 
-  const results = [];
-  const failedItems = [];
-  for (const item of queue) {
+  // Process in parallel, one request at a time per domain by default.
+  // A Retry-After on a 429/503 holds back the rest of that domain's items.
+  const outcomes = await runPool(selected, async (item, { pause }) => {
     const result = await saveUrl(item.url);
-    results.push(result);
-    if (!result.success && !result.duplicate) {
-      failedItems.push(item);
+    if (result.retry_after) pause(result.retry_after * 1000);
+    return result;
+  }, {
+    concurrency: config.concurrency,
+    perKey: config.domainConcurrency,
+    keyOf: item => extractDomain(item.url) || item.url,
+  });
+
+  const results = [];
+  const retryItems = [];
+  const deadItems = [];
+  const skippedItems = [];
+  selected.forEach((item, i) => {
+    const result = outcomes[i];
+    if (!result) {
+      // Domain asked us to back off for longer than we wait in one run
+      skippedItems.push(item);
+      return;
     }
-  }
+    results.push(result);
+    if (result.success || result.duplicate) return;
+
+    const { item: failedItem, dead } = recordFailure(item, {
+      error: result.error,
+      status: result.status,
+      permanent: isPermanentStatus(result.status) || !isValidUrl(item.url),
+      retryAfterMs: (result.retry_after || 0) * 1000,
+    }, { maxAttempts: config.queueMaxAttempts });
+    (dead ? deadItems : retryItems).push(failedItem);
+  });
 
-  // Retain failed items in the queue so they can be retried
-  await writeQueue(vaultPath, failedItems);
+  // Retain failed (and unselected) items in the queue so they can be retried;
+  // permanent failures and exhausted items go to the dead-letter list.
+  // Re-read under the lock so URLs queued while we were working survive.
+  const processed = new Set(selected.filter(item => !skippedItems.includes(item)).map(item => item.url));
+  await locked(async () => {
+    const current = await readQueue(dataDir);
+    await writeQueue(dataDir, [...current.filter(item => !processed.has(item.url)), ...retryItems]);
+    if (deadItems.length > 0) {
+      await writeDeadLetter(dataDir, [...await readDeadLetter(dataDir), ...deadItems]);
+    }
+  });
 
   const succeeded = results.filter(r => r.success).length;
-  const failed = failedItems.length;
+  const failed = retryItems.length + deadItems.length;
   const duplicates = results.filter(r => r.duplicate).length;
 
   output({
@@ -147,68 +300,398 @@ async function processQueue() {
     succeeded,
     failed,
     duplicates,
+    deferred: deferred + skippedItems.length,
+    dead: deadItems.length,
+    results,
+  });
+}
+
+async function queueCommand() {
+  const action = positionals[1];
+  const target = positionals[2];
+
+  if (!QUEUE_ACTIONS.includes(action)) {
+    output({ success: false, error: `Unknown queue action: ${action ?? '(none)'}. Available: ${QUEUE_ACTIONS.join(', ')}` });
+    process.exit(1);
+  }
+
+  if (action === 'list') {
+    const items = await readQueue(dataDir);
+    const dead = await readDeadLetter(dataDir);
+    output({ success: true, count: items.length, items, dead });
+    return;
+  }
+
+  if (action === 'remove') {
+    if (!target) {
+      output({ success: false, error: 'No URL provided. Usage: clawsidian queue remove <url>' });
+      process.exit(1);
+    }
+    const result = await locked(() => removeFromQueue(dataDir, target, { urlRules: config.urlRules }));
+    if (!result.removed) {
+      output({ success: false, error: result.reason, url: target });
+      process.exit(1);
+    }
+    output({ success: true, removed: result.count, url: target });
+    return;
+  }
+
+  if (action === 'clear') {
+    const cleared = await locked(async () => {
+      const items = await readQueue(dataDir);
+      const dead = await readDeadLetter(dataDir);
+      await clearQueue(dataDir);
+      await clearDeadLetter(dataDir);
+      return items.length + dead.length;
+    });
+    output({ success: true, cleared });
+    return;
+  }
+
+  // An explicit retry ignores backoff
+  await processQueue({ failedOnly: values['failed-only'], force: true });
+}
+
+async function refresh() {
+  if (!values.partial && !urlArg) {
+    output({ success: false, error: 'No note provided. Usage: clawsidian refresh <file|url> or clawsidian refresh --partial' });
+    process.exit(1);
+  }
+
+  if (!values.partial) {
+    const file = await resolveNote(urlArg);
+    if (!file) {
+      output({ success: false, error: `No saved article matches ${urlArg}` });
+      process.exit(1);
+    }
+    const result = await refreshNote(file);
+    output(result);
+    process.exit(result.success ? 0 : 1);
+  }
+
+  // Re-fetch every partial save, politely per domain like the queue does
+  const { notes, rejected } = await partialNotes();
+  const outcomes = await runPool(notes, async (note, { pause }) => {
+    const result = await refreshNote(note.file);
+    if (result.retry_after) pause(result.retry_after * 1000);
+    return result;
+  }, {
+    concurrency: config.concurrency,
+    perKey: config.domainConcurrency,
+    keyOf: note => extractDomain(note.url) || note.url,
+  });
+
+  const results = [...rejected, ...outcomes.filter(Boolean)];
+  output({
+    success: true,
+    checked: notes.length + rejected.length,
+    refreshed: results.filter(r => r.refreshed).length,
+    unchanged: results.filter(r => r.success && !r.refreshed).length,
+    failed: results.filter(r => !r.success).length,
+    deferred: notes.length + rejected.length - results.length,
     results,
   });
 }
 
+/**
+ * Re-fetch one saved note and rewrite it in place with mergeNote(), which
+ * replaces the machine-owned region and fields and keeps the user's.
+ */
+async function refreshNote(file) {
+  const filepath = join(vaultPath, file);
+
+  let original;
+  try {
+    original = await readFile(filepath, 'utf-8');
+  } catch (err) {
+    return { success: false, error: `Could not read ${file}: ${err.message}`, file };
+  }
+
+  const { data, body } = parseFrontmatter(original);
+  if (!data || typeof data.url !== 'string') {
+    return { success: false, error: 'Note has no url in its frontmatter', file };
+  }
+  // A synced or edited note must not make us fetch what save would refuse
+  if (!isValidUrl(data.url)) {
+    return { success: false, error: 'Invalid URL format', file, url: data.url };
+  }
+
+  // Notes saved before the region markers existed have nowhere safe for the
+  // user's own writing, and there is no telling whether they were edited
+  if (!splitRegions(body).delimited && !values.force) {
+    return { success: false, error: 'Note has no clawsidian markers, so your edits could be lost; use --force to replace it', file, url: data.url };
+  }
+
+  const domain = extractDomain(data.url);
+  const { template, error } = await noteTemplate(domain);
+  if (error) return { success: false, error, file, url: data.url };
+
+  const fetchResult = await loadArticle(data.url);
+  if (!fetchResult.success && !(fetchResult.partial && fetchResult.meta)) {
+    return { ...fetchFailure(fetchResult, data.url), file };
+  }
+
+  const unchanged = reason => ({
+    success: true,
+    file,
+    title: data.title,
+    status: data.status,
+    url: data.url,
+    refreshed: false,
+    reason,
+  });
+
+  if (!fetchResult.success) return unchanged('still partial');
+
+  const hash = contentHash(fetchResult.article.content);
+  if (hash === data.content_hash && data.status !== 'partial' && !values.force) {
+    return unchanged('unchanged');
+  }
+
+  // The note keeps its URL; anything new the page reports joins the aliases
+  const oldAliases = Array.isArray(data.url_aliases) ? data.url_aliases : [];
+  const pageUrl = fetchResult.finalUrl || data.url;
+  const { aliases } = resolveUrlAliases(
+    [data.url, ...oldAliases, pageUrl, ...pageClaims(fetchResult, pageUrl)],
+    config.urlRules,
+  );
+
+  const note = await composeArticle(fetchResult, {
+    url: data.url,
+    aliases,
+    domain,
+    template,
+    updated: new Date().toISOString().split('T')[0],
+    // The note's own tags win on refresh, so don't spend a request on new ones
+    keepTags: !values.tags && !isPlaceholderTags(data.tags),
+  });
+
+  // Merged again under the lock once images and the PDF are written
+  const merge = ({ frontmatter, body, result }) => {
+    const content = mergeNote(original, frontmatter, body, {
+      userFields: config.userFields,
+      replaceTags: Boolean(values.tags),
+    });
+    const merged = parseFrontmatter(content);
+    return { content, merged, result: { ...result, file, title: merged.data.title, tags: merged.data.tags, refreshed: true } };
+  };
+
+  if (values['dry-run']) return { ...merge(note).result, dry_run: true };
+
+  try {
+    return await locked(async () => {
+      // The user may have been typing while we fetched
+      const current = await readFile(filepath, 'utf-8').catch(() => null);
+      if (current !== original) {
+        return { success: false, error: 'Note changed while refreshing; try again', file, url: data.url };
+      }
+      const { content, merged, result } = merge(await saveMedia(note));
+      await atomicWrite(filepath, content);
+      await recordArticle(vaultPath, {
+        url: data.url, aliases, file, title: result.title, saved: merged.data.saved, body: merged.body,
+      }, store);
+      await updateHubs(note.context, { file, title: result.title, saved: String(merged.data.saved ?? note.context.saved) });
+      return result;
+    });
+  } catch (err) {
+    if (err.code !== 'ELOCKED') throw err;
+    return { success: false, error: err.message, file, url: data.url };
+  }
+}
+
+/**
+ * Find the note for a refresh target: a saved URL, or a note path
+ * (absolute, vault-relative or relative to the notes root). Returns the
+ * vault-relative path.
+ */
+async function resolveNote(target) {
+  if (/^https?:\/\//i.test(target)) {
+    const normalized = normalizeUrl(target, config.urlRules);
+    const existing = normalized && await findDuplicate(normalized, vaultPath, store);
+    return existing?.file || null;
+  }
+
+  for (const candidate of [resolve(target), resolve(vaultPath, target), resolve(dataDir, target)]) {
+    const file = relative(vaultPath, candidate);
+    if (!file.startsWith('..') && !isAbsolute(file) && file.endsWith('.md') && existsSync(candidate)) {
+      return file.split(sep).join('/');
+    }
+  }
+  return null;
+}
+
+/**
+ * Partial notes to re-fetch. Notes whose url `save` would refuse (private
+ * hosts, non-http schemes) are returned as `rejected` results instead.
+ */
+async function partialNotes() {
+  const notes = [];
+  const rejected = [];
+  for (const file of await listNotes(vaultPath, layout.root)) {
+    const content = await readFile(join(vaultPath, file), 'utf-8').catch(() => '');
+    const { data } = parseFrontmatter(content);
+    if (data?.status !== 'partial' || typeof data.url !== 'string') continue;
+    if (isValidUrl(data.url)) {
+      notes.push({ file, url: data.url });
+    } else {
+      rejected.push({ success: false, error: 'Invalid URL format', file, url: data.url });
+    }
+  }
+  return { notes, rejected };
+}
+
+async function reindex() {
+  const entries = await rebuildIndex(vaultPath, store);
+  const files = new Set(Object.values(entries).map(entry => entry.file));
+  output({ success: true, reindexed: files.size, urls: Object.keys(entries).length });
+}
+
+async function search() {
+  const query = positionals.slice(1).join(' ').trim();
+  if (!query && !values.tag && !values.source && !values.since) {
+    output({ success: false, error: 'No query provided. Usage: clawsidian search <query> [--tag t] [--source s] [--since YYYY-MM-DD]' });
+    process.exit(1);
+  }
+
+  let since;
+  if (values.since) {
+    const date = new Date(values.since);
+    if (isNaN(date.getTime())) {
+      output({ success: false, error: `Invalid --since date: ${values.since}` });
+      process.exit(1);
+    }
+    since = date.toISOString().split('T')[0];
+  }
+
+  const limit = values.limit ? parseInt(values.limit, 10) : 20;
+  if (!Number.isInteger(limit) || limit < 1) {
+    output({ success: false, error: `Invalid --limit: ${values.limit}` });
+    process.exit(1);
+  }
+
+  const results = await searchArticles(vaultPath, query, {
+    tag: values.tag,
+    source: values.source,
+    since,
+    limit,
+    root: layout.root,
+  });
+
+  output({ success: true, query, count: results.length, results });
+}
+
 // --- Core Save Logic ---
 
-async function saveUrl(url) {
+async function saveUrl(url, { html, pdf } = {}) {
   // 1. Validate
   if (!isValidUrl(url)) {
     return { success: false, error: 'Invalid URL format', url };
   }
 
   // 2. Normalize
-  const normalizedUrl = normalizeUrl(url);
+  const normalizedUrl = normalizeUrl(url, config.urlRules);
   if (!normalizedUrl) {
     return { success: false, error: 'Could not normalize URL', url };
   }
 
-  const domain = extractDomain(normalizedUrl);
-
-  // 3. Duplicate check
-  const existing = await findDuplicate(normalizedUrl, vaultPath);
+  // 3. Duplicate check (repeated after fetching and under the lock before writing)
+  const existing = await findDuplicate(normalizedUrl, vaultPath, store);
   if (existing) {
-    return {
-      success: false,
-      duplicate: true,
-      existing_file: `Articles/${existing.file}`,
-      existing_title: existing.title,
-      url: normalizedUrl,
-    };
+    return duplicateResult(normalizedUrl, existing);
+  }
+
+  const { template, error } = await noteTemplate(extractDomain(normalizedUrl));
+  if (error) {
+    return { success: false, error, url: normalizedUrl };
+  }
+
+  // 4. Fetch (or extract HTML/PDF supplied via --file/--stdin)
+  const fetchResult = await loadArticle(url, { html, pdf });
+  if (!fetchResult.success && !(fetchResult.partial && fetchResult.meta)) {
+    return fetchFailure(fetchResult, normalizedUrl);
+  }
+
+  // 5. Collect the article's other URLs. AMP pages, shortlinks and mobile
+  // hosts often only show up as duplicates once we know where they really
+  // point. The note keeps the URL given (or where a fetch ended up); what
+  // the page claims for itself is only an alias.
+  const pageUrl = html !== undefined || pdf !== undefined ? url : fetchResult.finalUrl || url;
+  const { url: primaryUrl, aliases } = resolveUrlAliases(
+    [pageUrl, url, ...pageClaims(fetchResult, pageUrl)],
+    config.urlRules,
+  );
+  const aliasDuplicate = await findDuplicate([primaryUrl, ...aliases], vaultPath, store);
+  if (aliasDuplicate) {
+    return duplicateResult(primaryUrl, aliasDuplicate);
+  }
+
+  const domain = extractDomain(primaryUrl);
+
+  // 6–10. Build the note and write it
+  const note = fetchResult.success
+    ? await composeArticle(fetchResult, { url: primaryUrl, aliases, domain, template })
+    : composePartial(fetchResult, { url: primaryUrl, aliases, domain, template });
+
+  return commitArticle(note, { aliases });
+}
+
+/**
+ * The canonical and og:url the page gives for itself, where they can be
+ * trusted to name this article rather than the site's homepage.
+ */
+function pageClaims(fetchResult, pageUrl) {
+  return [fetchResult.meta?.canonicalUrl, fetchResult.meta?.ogUrl]
+    .filter(claim => claim && isOwnPageUrl(claim, pageUrl));
+}
+
+/**
+ * Fetch `url`, or extract the HTML/PDF the caller already supplied.
+ * Network errors are returned as failed results rather than thrown.
+ */
+async function loadArticle(url, { html, pdf } = {}) {
+  if (pdf !== undefined) {
+    const fetchResult = await extractPdf(pdf, url);
+    if (fetchResult.success) fetchResult.pdf = pdf;
+    return fetchResult;
+  }
+  if (html !== undefined) {
+    return extractArticle(html, url, { rules: siteRules });
   }
 
-  // 4. Fetch
-  let fetchResult;
   try {
-    fetchResult = await fetchArticle(url);
+    return await fetchArticle(url, { rules: siteRules });
   } catch (err) {
     if (err.name === 'TimeoutError' || err.name === 'AbortError') {
-      return { success: false, error: 'Request timed out', url: normalizedUrl };
+      return { success: false, error: 'Request timed out' };
     }
-    return { success: false, error: `Network error: ${err.message}`, url: normalizedUrl };
+    return { success: false, error: `Network error: ${err.message}` };
   }
+}
 
-  if (!fetchResult.success) {
-    if (fetchResult.partial && fetchResult.meta) {
-      return await savePartial(normalizedUrl, domain, fetchResult);
-    }
-    return { success: false, error: fetchResult.error, url: normalizedUrl };
-  }
+function fetchFailure(fetchResult, url) {
+  return {
+    success: false,
+    error: fetchResult.error,
+    status: fetchResult.status,
+    retry_after: fetchResult.retryAfter != null ? Math.ceil(fetchResult.retryAfter / 1000) : undefined,
+    url,
+  };
+}
 
-  // 5. Extract metadata
-  const metadata = extractMetadata(fetchResult, normalizedUrl);
+/**
+ * Turn a successful extraction into frontmatter, the machine-owned note
+ * body (both rendered from the note template) and the command result.
+ * Shared by save and refresh.
+ */
+async function composeArticle(fetchResult, { url, aliases, domain, template, updated, keepTags = false }) {
+  // 6. Extract metadata
+  const metadata = extractMetadata(fetchResult, url);
   const title = metadata.title || domain;
 
-  // 6. Keywords / tags
-  const keywords = extractKeywords(fetchResult.article.content);
-  const tags = values.tags
-    ? values.tags.split(',').map(t => t.trim().toLowerCase())
-    : keywords;
-
-  // 7. Generate filename
-  const { filename, filepath } = generateFilename(title, domain, vaultPath);
+  // 7. Keywords / tags
+  keywordCorpus ??= loadCorpus(vaultPath, store);
+  const keywords = extractKeywords(fetchResult.article.content, 5, await keywordCorpus);
+  const tags = tagsOption() || (!keepTags && await llmTags(fetchResult.article.content, title)) || keywords;
 
   // 8. Summarize (unless --no-summary or config.summarize is false)
   let summary = null;
@@ -216,90 +699,269 @@ async function saveUrl(url) {
     summary = await summarizeContent(fetchResult.article.content, title, config);
   }
 
-  // 9. Build file content
-  const frontmatter = buildFrontmatter({
-    url: normalizedUrl,
+  // 9. Download images (opt-in; skipped on dry runs). They and the original
+  // PDF are written to the vault along with the note, by saveMedia.
+  const media = { baseUrl: fetchResult.finalUrl || url };
+  if (config.images && !values['dry-run']) {
+    media.images = await fetchImages(fetchResult.article.content, { baseUrl: media.baseUrl });
+  }
+  if (fetchResult.pdf && config.keepPdf && !values['dry-run']) media.pdf = fetchResult.pdf;
+
+  // 10. Build file content
+  const context = noteContext({
+    url,
+    url_aliases: aliases,
+    updated,
     title,
-    author: metadata.author,
+    aliases: metadata.alternateTitles,
     source: metadata.source,
+    author: metadata.author,
+    authors: metadata.authors,
     published: metadata.published,
+    modified: metadata.modified,
+    language: metadata.language,
+    image: metadata.image,
+    word_count: metadata.wordCount,
     tags,
+    keywords,
     status: 'complete',
+    format: fetchResult.format,
+    content_hash: contentHash(fetchResult.article.content),
+    summary,
+    content: fetchResult.article.content,
+    domain,
   });
+  const { frontmatter, body } = renderTemplate(template, context);
 
-  const summaryBlock = summary ? `\n> **Summary:** ${summary}\n` : '';
-  const fileContent = `${frontmatter}\n\n# ${title}\n${summaryBlock}\n${fetchResult.article.content}\n`;
-
-  // 10. Build result
   const result = {
     success: true,
-    file: `Articles/${filename}`,
+    file: null,
     title,
     author: metadata.author || undefined,
+    authors: metadata.authors.length > 0 ? metadata.authors : undefined,
     source: metadata.source,
     published: metadata.published || undefined,
+    modified: metadata.modified || undefined,
+    language: metadata.language || undefined,
+    image: metadata.image || undefined,
+    word_count: metadata.wordCount || undefined,
     keywords,
     tags,
     status: 'complete',
-    url: normalizedUrl,
+    url,
+    url_aliases: aliases.length > 0 ? aliases : undefined,
+    format: fetchResult.format,
   };
 
-  if (values['dry-run']) {
-    return { ...result, dry_run: true };
+  return { frontmatter, body, result, context, template, media };
+}
+
+/**
+ * Write the images and original PDF a composed article embeds, then render
+ * it again with links to the local copies. Runs under the lock once the
+ * note is certain to be written, so an abandoned save leaves no
+ * attachments that nothing links to.
+ */
+async function saveMedia(note) {
+  const { images, pdf, baseUrl } = note.media || {};
+  if (!images && !pdf) return note;
+
+  let content = note.context.content;
+  let localized;
+  if (images) {
+    localized = await localizeImages(content, images, { vaultPath, folder: config.attachmentsFolder, baseUrl });
+    content = localized.content;
+  }
+
+  // Keep the original PDF alongside the extracted text (opt-in)
+  let attachment;
+  if (pdf) {
+    attachment = await saveAttachment(vaultPath, config.attachmentsFolder, pdf, 'pdf');
+    content = `*Original PDF: [[${attachment}]]*\n\n${content}`;
   }
 
-  await writeFile(filepath, fileContent, 'utf-8');
-  return result;
+  const context = { ...note.context, content };
+  return {
+    ...note,
+    ...renderTemplate(note.template, context),
+    context,
+    result: {
+      ...note.result,
+      attachment,
+      images: localized ? { saved: localized.saved, skipped: localized.skipped } : undefined,
+    },
+  };
 }
 
-async function savePartial(normalizedUrl, domain, fetchResult) {
+function composePartial(fetchResult, { url, aliases, domain, template }) {
   const meta = fetchResult.meta;
   const title = meta.ogTitle || meta.titleTag || meta.h1 || domain;
+  const tags = tagsOption() || ['untagged'];
 
-  const tags = values.tags
-    ? values.tags.split(',').map(t => t.trim().toLowerCase())
-    : ['untagged'];
-
-  const { filename, filepath } = generateFilename(title, domain, vaultPath);
-
-  const frontmatter = buildFrontmatter({
-    url: normalizedUrl,
+  const context = noteContext({
+    url,
+    url_aliases: aliases,
     title,
     source: domain,
     tags,
     status: 'partial',
     warning: 'Content may be incomplete due to paywall or access restriction',
+    content: '*Note: This article may be incomplete due to paywall or access restrictions.*',
+    domain,
   });
-
-  const fileContent = `${frontmatter}\n\n# ${title}\n\n*Note: This article may be incomplete due to paywall or access restrictions.*\n`;
+  const { frontmatter, body } = renderTemplate(template, context);
 
   const result = {
     success: true,
-    file: `Articles/${filename}`,
+    file: null,
     title,
     source: domain,
     tags,
     status: 'partial',
-    url: normalizedUrl,
+    url,
+    url_aliases: aliases.length > 0 ? aliases : undefined,
+  };
+
+  return { frontmatter, body, result, context };
+}
+
+/**
+ * Tags chosen by the provider from the vault's tags (`tagging: "llm"`), or
+ * null to fall back to keywords. The vocabulary is read once per run.
+ */
+async function llmTags(content, title) {
+  if (config.tagging !== 'llm') return null;
+  keywordCorpus ??= loadCorpus(vaultPath, store);
+  tagVocabulary ??= collectTags(await keywordCorpus);
+  return suggestTags(content, title, tagVocabulary, config, { maxNew: config.maxNewTags });
+}
+
+/**
+ * Variables for note templates and folder/filename patterns: the article
+ * fields plus the save date and links to the source and author hubs.
+ */
+function noteContext(fields) {
+  const saved = new Date().toISOString().split('T')[0];
+  const [year, month, day] = saved.split('-');
+  return {
+    saved,
+    year,
+    month,
+    day,
+    date: new Date(),
+    source_link: hubLink(config.sourcesFolder, fields.source),
+    author_links: (fields.authors || []).map(author => hubLink(config.authorsFolder, author)).filter(Boolean),
+    ...fields,
   };
+}
+
+async function noteTemplate(domain) {
+  const fallback = config.obsidian ? 'obsidian' : 'default';
+  return loadTemplate(selectTemplate(domain, config.templates, values.template, fallback));
+}
 
+/**
+ * Add the article to its source and author hub notes, and in Obsidian mode
+ * tell Obsidian the types of our properties. Runs under the vault lock.
+ */
+async function updateHubs(context, article) {
+  if (!config.hubs && !config.obsidian) return;
+  await addToHub(vaultPath, config.sourcesFolder, context.source, 'source', article);
+  for (const author of context.authors || []) {
+    await addToHub(vaultPath, config.authorsFolder, author, 'author', article);
+  }
+  if (config.obsidian) await registerPropertyTypes(vaultPath);
+}
+
+/**
+ * Pick a filename and write the note. Outside of dry runs this happens under
+ * the vault lock, re-checking for a duplicate that a concurrent process may
+ * have saved while we were fetching; attachments are only written after
+ * that check.
+ */
+async function commitArticle(note, { aliases = [] }) {
   if (values['dry-run']) {
-    return { ...result, dry_run: true };
+    const { file } = generateFilename(note.context, vaultPath, layout);
+    return { ...note.result, file, dry_run: true };
+  }
+
+  try {
+    return await locked(async () => {
+      const existing = await findDuplicate([note.result.url, ...aliases], vaultPath, store);
+      if (existing) return duplicateResult(note.result.url, existing);
+
+      const { result, context, frontmatter, body } = await saveMedia(note);
+      const { file, filepath } = generateFilename(context, vaultPath, layout);
+      const content = renderNote(frontmatter, body);
+      await mkdir(dirname(filepath), { recursive: true });
+      await writeFile(filepath, content, 'utf-8');
+      await recordArticle(vaultPath, {
+        url: result.url, aliases, file, title: result.title, body: parseFrontmatter(content).body,
+      }, store);
+      await updateHubs(context, { file, title: result.title, saved: context.saved });
+      if (config.dailyNote) {
+        await logToDailyNote(vaultPath, {
+          file, title: result.title, source: context.source, summary: context.summary,
+        }, {
+          folder: config.dailyNoteFolder,
+          format: config.dailyNoteFormat,
+          heading: config.dailyNoteHeading,
+          template: config.dailyNoteTemplate,
+        });
+      }
+      return { ...result, file };
+    });
+  } catch (err) {
+    if (err.code !== 'ELOCKED') throw err;
+    return { success: false, error: err.message, url: note.result.url };
   }
+}
 
-  await writeFile(filepath, fileContent, 'utf-8');
-  return result;
+function duplicateResult(normalizedUrl, existing) {
+  return {
+    success: false,
+    duplicate: true,
+    existing_file: existing.file,
+    existing_title: existing.title,
+    url: normalizedUrl,
+  };
 }
 
 // --- Helpers ---
 
-async function ensureArticlesDir() {
-  const dir = join(vaultPath, 'Articles');
-  if (!existsSync(dir)) {
-    await mkdir(dir, { recursive: true });
+function tagsOption() {
+  return values.tags ? values.tags.split(',').map(t => t.trim().toLowerCase()) : null;
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+function locked(fn) {
+  return withVaultLock(dataDir, fn, { timeoutMs: config.lockTimeout * 1000 });
+}
+
+async function ensureNotesRoot() {
+  if (!existsSync(dataDir)) {
+    await mkdir(dataDir, { recursive: true });
   }
 }
 
+/**
+ * After `folder` moves the notes root away from Articles/, bring along the
+ * queue that was left there so queued URLs aren't silently dropped.
+ */
+async function adoptOldQueue() {
+  const oldDir = join(vaultPath, DEFAULT_FOLDER);
+  if (oldDir === dataDir || values['dry-run']) return;
+  if (!existsSync(queuePath(oldDir)) && !existsSync(deadLetterPath(oldDir))) return;
+
+  const moved = await locked(() => migrateQueue(oldDir, dataDir));
+  if (moved > 0) process.stderr.write(`Moved ${moved} queued URL(s) from ${DEFAULT_FOLDER}/ to ${layout.root || 'the vault root'}\n`);
+}
+
 function output(data) {
   if (values.json) {
     console.log(JSON.stringify(data, null, 2));
@@ -314,8 +976,76 @@ function printHuman(data) {
     return;
   }
 
+  if (data.items !== undefined) {
+    if (data.count === 0 && data.dead.length === 0) {
+      console.log('Queue is empty');
+      return;
+    }
+    for (const item of data.items) printQueueItem(item);
+    console.log(`${data.count} queued URL${data.count === 1 ? '' : 's'}`);
+    if (data.dead.length > 0) {
+      console.log('\nDead letter (not retried):');
+      for (const item of data.dead) printQueueItem(item);
+      console.log(`${data.dead.length} dead URL${data.dead.length === 1 ? '' : 's'}`);
+    }
+    return;
+  }
+
+  if (data.removed !== undefined) {
+    console.log(`Removed from queue: ${data.url}`);
+    return;
+  }
+
+  if (data.cleared !== undefined) {
+    console.log(`Cleared ${data.cleared} queued URL${data.cleared === 1 ? '' : 's'}`);
+    return;
+  }
+
+  if (data.checked !== undefined) {
+    if (data.checked === 0) {
+      console.log('No partial articles to refresh');
+      return;
+    }
+    console.log(`Checked ${data.checked} partial articles: ${data.refreshed} refreshed, ${data.unchanged} unchanged, ${data.failed} failed`);
+    for (const r of data.results.filter(r => !r.success)) console.log(`  ${r.file}: ${r.error}`);
+    if (data.deferred) console.log(`  ${data.deferred} skipped (rate limited)`);
+    return;
+  }
+
+  if (data.refreshed === false) {
+    console.log(`Not refreshed (${data.reason}): ${data.file}`);
+    return;
+  }
+
+  if (data.reindexed !== undefined) {
+    console.log(`Indexed ${data.reindexed} articles`);
+    return;
+  }
+
+  if (data.query !== undefined) {
+    if (data.count === 0) {
+      console.log('No matching articles');
+      return;
+    }
+    for (const r of data.results) {
+      console.log(`${r.title || r.file}`);
+      console.log(`  File:   ${r.file}`);
+      console.log(`  Source: ${r.source}${r.saved ? ` · saved ${r.saved}` : ''}`);
+      if (r.snippet) console.log(`  ${r.snippet}`);
+      console.log('');
+    }
+    console.log(`${data.count} result${data.count === 1 ? '' : 's'}`);
+    return;
+  }
+
   if (data.processed !== undefined) {
+    if (data.processed === 0 && data.message) {
+      console.log(data.message);
+      return;
+    }
     console.log(`Processed ${data.processed} queued articles: ${data.succeeded} saved, ${data.duplicates} duplicates, ${data.failed} failed`);
+    if (data.dead) console.log(`  ${data.dead} moved to dead letter`);
+    if (data.deferred) console.log(`  ${data.deferred} waiting to be retried`);
     return;
   }
 
@@ -331,16 +1061,28 @@ function printHuman(data) {
   }
 
   if (data.dry_run) {
-    console.log('[DRY RUN] Would save:');
+    console.log(`[DRY RUN] Would ${data.refreshed ? 'refresh' : 'save'}:`);
   } else {
-    console.log('Saved:');
+    console.log(data.refreshed ? 'Refreshed:' : 'Saved:');
   }
   console.log(`  File:   ${data.file}`);
   console.log(`  Title:  "${data.title}"`);
   if (data.author) console.log(`  Author: ${data.author}`);
   console.log(`  Source: ${data.source}`);
   if (data.tags?.length) console.log(`  Tags:   ${data.tags.join(', ')}`);
+  if (data.images) console.log(`  Images: ${data.images.saved} saved${data.images.skipped ? `, ${data.images.skipped} skipped` : ''}`);
   console.log(`  Status: ${data.status}`);
+  if (data.format) console.log(`  Format: ${data.format}`);
+  if (data.attachment) console.log(`  PDF:    ${data.attachment}`);
+}
+
+function printQueueItem(item) {
+  console.log(item.url);
+  console.log(`  Added: ${item.added || 'unknown'}`);
+  if (item.attempts) console.log(`  Attempts: ${item.attempts}`);
+  if (item.lastError) console.log(`  Last error: ${item.lastError}`);
+  if (item.nextAttempt) console.log(`  Next retry: ${item.nextAttempt}`);
+  if (item.deadReason) console.log(`  Gave up: ${item.deadReason === 'permanent' ? 'permanent failure' : 'too many attempts'}`);
 }
 
 function printUsage() {
@@ -350,13 +1092,35 @@ Clawsidian — OpenClaw's Obsidian Toolkit
 Usage:
   clawsidian init                     Set up clawsidian (detects your environment)
   clawsidian save <url> [options]     Save a web article to the vault
+  clawsidian save --file <path> --url <url>
+                                      Save a local HTML file as the article at <url>
+  clawsidian save --stdin --url <url> Save HTML read from stdin
   clawsidian save --queue <url>       Add URL to queue for later processing
   clawsidian save --process-queue     Process all queued URLs
+  clawsidian queue list               Show queued URLs
+  clawsidian queue remove <url>       Remove a URL from the queue
+  clawsidian queue clear              Empty the queue
+  clawsidian queue retry              Process the queue again (--failed-only: only failed URLs)
+  clawsidian refresh <file|url>       Re-fetch a saved article, keeping your notes and tags
+  clawsidian refresh --partial        Retry every article saved as partial
+  clawsidian reindex                  Rebuild the duplicate-detection URL index
+  clawsidian search <query> [options] Search saved articles
 
 Options:
   --vault <path>    Vault root path (default: from config or ~/openclaw/obsidian-vault)
   --tags <tags>     Comma-separated tags (e.g., "ai,ml,tutorial")
   --no-summary      Skip AI-generated summary
+  --concurrency <n> Process up to n queued URLs at once (one per domain)
+  --images          Download article images into the vault's attachments folder
+  --keep-pdf        Store the original PDF in the attachments folder
+  --template <name> Note template from ~/.config/clawsidian/templates (or a path)
+  --obsidian        Obsidian-style notes: summary callout, linked source/author hubs
+  --daily           Log the saved article in today's daily note
+  --force           refresh: rewrite even if unchanged or the note has no markers
+  --tag <tags>      search: only notes with all of these tags (comma-separated)
+  --source <name>   search: only notes whose source contains this text
+  --since <date>    search: only notes saved on or after this date
+  --limit <n>       search: maximum number of results (default: 20)
   --json            Output JSON instead of human-readable text
   --dry-run         Show what would be saved without writing
   -h, --help        Show this help
@@ -0,0 +1,12 @@
+/**
+ * Atomic file writes via temp file + rename to prevent corruption.
+ */
+
+import { writeFile, rename } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+
+export async function atomicWrite(filepath, data) {
+  const tmpPath = filepath + '.' + randomUUID().slice(0, 8) + '.tmp';
+  await writeFile(tmpPath, data, 'utf-8');
+  await rename(tmpPath, filepath);
+}
@@ -8,8 +8,9 @@
 
 import { readFile, writeFile, mkdir } from 'node:fs/promises';
 import { existsSync } from 'node:fs';
-import { join } from 'node:path';
+import { join, isAbsolute } from 'node:path';
 import { homedir } from 'node:os';
+import { endpointProblem } from './llm.js';
 
 const CONFIG_DIR = join(homedir(), '.config', 'clawsidian');
 const CONFIG_PATH = join(CONFIG_DIR, 'config.json');
@@ -19,14 +20,42 @@ const DEFAULTS = {
   vault: join(homedir(), 'openclaw/obsidian-vault'),
   summarize: true,
   summaryModel: null,
+  summaryMode: 'truncate',
+  summaryChunkTokens: 1500,
+  summaryMaxCalls: 8,
+  tagging: 'keywords',
+  maxNewTags: 2,
   openaiBaseUrl: null,
   apiKeyEnv: null,
+  images: false,
+  attachmentsFolder: 'Attachments',
+  keepPdf: false,
+  queueMaxAttempts: 5,
+  concurrency: 1,
+  domainConcurrency: 1,
+  lockTimeout: 30,
+  urlRules: null,
+  userFields: [],
+  templates: null,
+  folder: 'Articles',
+  filename: '{{title}} ({{saved}})',
+  obsidian: false,
+  hubs: false,
+  dailyNote: false,
+  dailyNoteFolder: '',
+  dailyNoteFormat: 'YYYY-MM-DD',
+  dailyNoteHeading: '## Reading',
+  dailyNoteTemplate: null,
+  sourcesFolder: 'Sources',
+  authorsFolder: 'Authors',
+  provider: null,
+  endpoints: null,
 };
 
 // Providers ordered by preference for summarization (cheapest/fastest first)
 const PROVIDERS = [
   { env: 'OPENAI_API_KEY', name: 'OpenAI', baseUrl: 'https://api.openai.com/v1', model: 'gpt-4.1-nano' },
-  { env: 'GEMINI_API_KEY', name: 'Google Gemini', baseUrl: 'https://generativelanguage.googleapis.com/v1beta/openai', model: 'gemini-2.0-flash' },
+  { env: 'GEMINI_API_KEY', name: 'Google Gemini', baseUrl: 'https://generativelanguage.googleapis.com/v1beta', model: 'gemini-2.0-flash' },
   { env: 'OPENROUTER_API_KEY', name: 'OpenRouter', baseUrl: 'https://openrouter.ai/api/v1', model: 'google/gemini-2.0-flash-exp' },
   { env: 'XAI_API_KEY', name: 'xAI', baseUrl: 'https://api.x.ai/v1', model: 'grok-3-mini' },
   { env: 'ANTHROPIC_API_KEY', name: 'Anthropic', baseUrl: 'https://api.anthropic.com/v1', model: 'claude-haiku-4' },
@@ -113,6 +142,71 @@ export async function loadConfig() {
         if (fileConfig.apiKeyEnv && !VALID_API_KEY_ENVS.has(fileConfig.apiKeyEnv)) {
           delete fileConfig.apiKeyEnv;
         }
+        for (const key of ['queueMaxAttempts', 'concurrency', 'domainConcurrency', 'lockTimeout', 'summaryChunkTokens', 'summaryMaxCalls']) {
+          if (fileConfig[key] !== undefined && !isPositiveInteger(fileConfig[key])) {
+            delete fileConfig[key];
+          }
+        }
+        if (fileConfig.summaryMode !== undefined && !['truncate', 'map-reduce'].includes(fileConfig.summaryMode)) {
+          delete fileConfig.summaryMode;
+        }
+        if (fileConfig.tagging !== undefined && !['keywords', 'llm'].includes(fileConfig.tagging)) {
+          delete fileConfig.tagging;
+        }
+        if (fileConfig.maxNewTags !== undefined && !(Number.isInteger(fileConfig.maxNewTags) && fileConfig.maxNewTags >= 0)) {
+          delete fileConfig.maxNewTags;
+        }
+        if (fileConfig.urlRules !== undefined
+          && !(fileConfig.urlRules && typeof fileConfig.urlRules === 'object' && !Array.isArray(fileConfig.urlRules))) {
+          delete fileConfig.urlRules;
+        }
+        // Custom endpoints are opt-in: each must pass the same checks summarize uses
+        if (fileConfig.endpoints !== undefined) {
+          if (fileConfig.endpoints && typeof fileConfig.endpoints === 'object' && !Array.isArray(fileConfig.endpoints)) {
+            fileConfig.endpoints = Object.fromEntries(
+              Object.entries(fileConfig.endpoints).filter(([, endpoint]) => !endpointProblem(endpoint)));
+          } else {
+            delete fileConfig.endpoints;
+          }
+        }
+        if (fileConfig.provider !== undefined && typeof fileConfig.provider !== 'string') {
+          delete fileConfig.provider;
+        }
+        if (fileConfig.templates !== undefined
+          && !(fileConfig.templates && typeof fileConfig.templates === 'object' && !Array.isArray(fileConfig.templates)
+            && Object.values(fileConfig.templates).every(t => typeof t === 'string'))) {
+          delete fileConfig.templates;
+        }
+        if (fileConfig.userFields !== undefined
+          && !(Array.isArray(fileConfig.userFields) && fileConfig.userFields.every(k => typeof k === 'string'))) {
+          delete fileConfig.userFields;
+        }
+        // Attachments and notes must stay inside the vault
+        for (const key of ['attachmentsFolder', 'folder', 'sourcesFolder', 'authorsFolder']) {
+          if (fileConfig[key] !== undefined && !isVaultRelative(fileConfig[key])) {
+            delete fileConfig[key];
+          }
+        }
+        // The daily note folder may be the vault root
+        for (const key of ['dailyNoteFolder', 'dailyNoteTemplate']) {
+          if (fileConfig[key] !== undefined && fileConfig[key] !== '' && fileConfig[key] !== null
+            && !isVaultRelative(fileConfig[key])) {
+            delete fileConfig[key];
+          }
+        }
+        for (const key of ['dailyNoteFormat', 'dailyNoteHeading']) {
+          if (fileConfig[key] !== undefined && !(typeof fileConfig[key] === 'string' && fileConfig[key].trim())) {
+            delete fileConfig[key];
+          }
+        }
+        // The format becomes part of a path: no parent segments or absolute paths
+        if (typeof fileConfig.dailyNoteFormat === 'string'
+          && (fileConfig.dailyNoteFormat.includes('..') || /^[\\/]|^[a-zA-Z]:/.test(fileConfig.dailyNoteFormat))) {
+          delete fileConfig.dailyNoteFormat;
+        }
+        if (fileConfig.filename !== undefined && !(typeof fileConfig.filename === 'string' && fileConfig.filename.trim())) {
+          delete fileConfig.filename;
+        }
       }
     } catch {
       // Corrupted config — use defaults
@@ -121,6 +215,19 @@ export async function loadConfig() {
   return { ...DEFAULTS, ...fileConfig };
 }
 
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * True for a non-empty relative path that can't escape the vault root.
+ */
+export function isVaultRelative(path) {
+  if (typeof path !== 'string' || !path.trim()) return false;
+  if (isAbsolute(path) || /^[a-zA-Z]:/.test(path)) return false;
+  return !path.split(/[\\/]/).includes('..');
+}
+
 /**
  * Save config to file.
  */
@@ -145,8 +252,9 @@ export async function saveConfig(config) {
 export async function resolveConfig(cliValues = {}) {
   const config = await loadConfig();
 
-  // Auto-detect best provider if not explicitly configured
-  const provider = await findBestProvider();
+  // Auto-detect best provider if not explicitly configured. A custom
+  // endpoint brings its own URL, model and key.
+  const provider = config.provider ? null : await findBestProvider();
   if (provider) {
     if (!config.summaryModel) config.summaryModel = provider.model;
     if (!config.openaiBaseUrl) config.openaiBaseUrl = provider.baseUrl;
@@ -163,6 +271,14 @@ export async function resolveConfig(cliValues = {}) {
   // CLI overrides
   if (cliValues.vault) config.vault = cliValues.vault;
   if (cliValues['no-summary']) config.summarize = false;
+  if (cliValues.images) config.images = true;
+  if (cliValues['keep-pdf']) config.keepPdf = true;
+  if (cliValues.obsidian) config.obsidian = true;
+  if (cliValues.daily) config.dailyNote = true;
+  if (cliValues.concurrency) {
+    const n = parseInt(cliValues.concurrency, 10);
+    if (isPositiveInteger(n)) config.concurrency = n;
+  }
 
   return config;
 }
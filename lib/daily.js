@@ -0,0 +1,118 @@
+/**
+ * Daily note integration: log each saved article in the daily note for the
+ * day it was saved, the way a reading log is kept by hand.
+ *
+ *   ## Reading
+ *
+ *   - [[Articles/Superlinear Returns (2026-02-15)|Superlinear Returns]] (Paul Graham) — Returns for performance are...
+ */
+
+import { readFile, mkdir } from 'node:fs/promises';
+import { join, dirname } from 'node:path';
+import { atomicWrite } from './atomic.js';
+import { formatDate } from './template.js';
+import { appendToSection } from './note.js';
+import { isVaultRelative } from './config.js';
+
+const MAX_SUMMARY_LENGTH = 160;
+
+/**
+ * Path of the daily note for `date` (YYYY-MM-DD), relative to the vault.
+ * The format may contain slashes, as in Obsidian (`YYYY/MM/YYYY-MM-DD`).
+ * Returns null when the result would point outside the vault.
+ */
+export function dailyNotePath(date, { folder = '', format = 'YYYY-MM-DD' } = {}) {
+  const name = formatDate(date, format);
+  const file = folder ? `${folder}/${name}.md` : `${name}.md`;
+  return isVaultRelative(file) ? file : null;
+}
+
+/**
+ * The local date (YYYY-MM-DD) of `date`. Obsidian names daily notes by the
+ * local day, while `saved` is the UTC one.
+ */
+export function localDate(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Add a line for a saved article under `heading` in today's daily note
+ * (by local time). A missing daily note is created from `template` (a
+ * vault-relative path), or empty; a missing heading is added at the end.
+ * Articles the note already links to are skipped. Returns the daily note's
+ * vault-relative path, or null when the configured format leaves the vault.
+ */
+export async function logToDailyNote(vaultPath, article, options) {
+  const { heading, template } = options;
+  const today = localDate();
+  const file = dailyNotePath(today, options);
+  if (!file) {
+    process.stderr.write(`Warning: Daily note format "${options.format}" points outside the vault; not logged\n`);
+    return null;
+  }
+  const filepath = join(vaultPath, file);
+
+  let content;
+  try {
+    content = await readFile(filepath, 'utf-8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    content = template ? await dailyTemplate(vaultPath, template, today, file) : '';
+    await mkdir(dirname(filepath), { recursive: true });
+  }
+
+  const path = article.file.replace(/\.md$/, '');
+  if (content.includes(`[[${path}|`) || content.includes(`[[${path}]]`)) return file;
+
+  await atomicWrite(filepath, appendToSection(content, heading, dailyLine(path, article)));
+  return file;
+}
+
+function dailyLine(path, { title, source, summary }) {
+  const label = String(title || path.split('/').pop()).replace(/[[\]|]/g, '');
+  let line = `- [[${path}|${label}]]`;
+  if (source) line += ` (${source})`;
+  const sentence = oneLine(summary);
+  if (sentence) line += ` — ${sentence}`;
+  return line;
+}
+
+/**
+ * First sentence of the summary, on one line and cut to a readable length.
+ */
+function oneLine(summary) {
+  if (typeof summary !== 'string') return null;
+  const text = summary.replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  const sentence = text.match(/^.+?[.!?](?=\s|$)/)?.[0] || text;
+  if (sentence.length <= MAX_SUMMARY_LENGTH) return sentence;
+  return sentence.slice(0, MAX_SUMMARY_LENGTH - 1).replace(/\s+\S*$/, '') + '…';
+}
+
+/**
+ * Read the daily note template and fill in the variables Obsidian's own
+ * templates use: {{title}}, {{date}}, {{time}} and {{date:FORMAT}}.
+ * An unreadable template gives an empty note rather than failing the save.
+ */
+async function dailyTemplate(vaultPath, template, today, file) {
+  const path = template.endsWith('.md') ? template : `${template}.md`;
+  let source;
+  try {
+    source = await readFile(join(vaultPath, path), 'utf-8');
+  } catch {
+    return '';
+  }
+
+  // formatDate reads UTC fields, so shift the clock to show local time
+  const now = new Date();
+  const local = new Date(now.getTime() - now.getTimezoneOffset() * 60000);
+  const title = file.split('/').pop().replace(/\.md$/, '');
+  return source.replace(/\{\{\s*(title|date|time)\s*(?::([^}]*))?\}\}/gi, (match, name, format) => {
+    switch (name.toLowerCase()) {
+      case 'title': return title;
+      case 'date': return formatDate(today, format?.trim() || 'YYYY-MM-DD');
+      default: return formatDate(local, format?.trim() || 'HH:mm');
+    }
+  });
+}
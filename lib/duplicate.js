@@ -1,44 +1,21 @@
 /**
- * Check for duplicate articles by scanning frontmatter url: fields.
+ * Check for duplicate articles using the persistent URL index.
+ * Accepts a single normalized URL or a list of aliases for one article.
+ * `file` in the result is relative to the vault.
  */
 
-import { readdir, readFile } from 'node:fs/promises';
 import { join } from 'node:path';
+import { loadIndex } from './urlindex.js';
 
-export async function findDuplicate(normalizedUrl, vaultPath) {
-  const articlesDir = join(vaultPath, 'Articles');
+export async function findDuplicate(normalizedUrls, vaultPath, options = {}) {
+  const entries = await loadIndex(vaultPath, options);
+  const urls = Array.isArray(normalizedUrls) ? normalizedUrls : [normalizedUrls];
+  const entry = urls.map(url => entries[url]).find(Boolean);
+  if (!entry) return null;
 
-  let files;
-  try {
-    files = await readdir(articlesDir);
-  } catch {
-    // Articles/ doesn't exist yet — no duplicates
-    return null;
-  }
-
-  const mdFiles = files.filter(f => f.endsWith('.md'));
-
-  for (const file of mdFiles) {
-    const filepath = join(articlesDir, file);
-    try {
-      const content = await readFile(filepath, 'utf-8');
-      // Only scan the frontmatter (between first --- and second ---)
-      const fmMatch = content.match(/^---\n([\s\S]*?)\n---/);
-      if (!fmMatch) continue;
-
-      const fm = fmMatch[1];
-      const urlMatch = fm.match(/^url:\s*(.+)$/m);
-      if (urlMatch && urlMatch[1].trim() === normalizedUrl) {
-        // Extract title from frontmatter
-        const titleMatch = fm.match(/^title:\s*(.+)$/m);
-        const title = titleMatch ? titleMatch[1].trim().replace(/^["']|["']$/g, '') : null;
-        return { file, title, filepath };
-      }
-    } catch {
-      // Skip unreadable files
-      continue;
-    }
-  }
-
-  return null;
+  return {
+    file: entry.file,
+    title: entry.title,
+    filepath: join(vaultPath, entry.file),
+  };
 }
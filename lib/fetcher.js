@@ -1,11 +1,17 @@
 /**
  * Fetch HTML and extract readable content using Mozilla Readability.
  * Converts extracted HTML to markdown via Turndown.
+ * Per-site rules (see rules.js) clean up the DOM before extraction.
+ * PDF responses are handed to pdf.js instead (see pdf.js).
  */
 
 import { JSDOM } from 'jsdom';
 import { Readability } from '@mozilla/readability';
 import TurndownService from 'turndown';
+import { extractDomain } from './normalize.js';
+import { resolveRules, readOverrides, applyRules } from './rules.js';
+import { extractPdf, isPdf, MAX_PDF_BYTES } from './pdf.js';
+import { extractStructured } from './structured.js';
 
 const turndown = new TurndownService({
   headingStyle: 'atx',
@@ -27,9 +33,9 @@ turndown.addRule('fencedCodeBlock', {
 });
 
 const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36';
-const MAX_RESPONSE_BYTES = 10 * 1024 * 1024; // 10 MB
+export const MAX_RESPONSE_BYTES = 10 * 1024 * 1024; // 10 MB
 
-export async function fetchArticle(url) {
+export async function fetchArticle(url, { rules = {} } = {}) {
   const response = await fetch(url, {
     headers: { 'User-Agent': USER_AGENT },
     redirect: 'follow',
@@ -41,10 +47,16 @@ export async function fetchArticle(url) {
       success: false,
       status: response.status,
       error: httpErrorMessage(response.status),
+      retryAfter: parseRetryAfter(response.headers.get('retry-after')),
     };
   }
 
   const contentLength = response.headers.get('content-length');
+
+  if (isPdfResponse(response)) {
+    return fetchPdf(response, contentLength);
+  }
+
   if (contentLength && parseInt(contentLength, 10) > MAX_RESPONSE_BYTES) {
     return { success: false, error: 'Response too large', status: response.status };
   }
@@ -56,6 +68,15 @@ export async function fetchArticle(url) {
 
   const finalUrl = response.url; // after redirects
 
+  return extractArticle(html, finalUrl, { rules, status: response.status });
+}
+
+/**
+ * Run the extraction pipeline on HTML that has already been obtained —
+ * fetched above, or supplied from a file or stdin. `finalUrl` is the page's
+ * canonical URL, used to resolve relative links and pick site rules.
+ */
+export function extractArticle(html, finalUrl, { rules = {}, status } = {}) {
   const dom = new JSDOM(html, { url: finalUrl });
 
   try {
@@ -75,16 +96,28 @@ export async function fetchArticle(url) {
     const timeEl = doc.querySelector('time[datetime]');
     const timeDatetime = timeEl?.getAttribute('datetime') || null;
 
+    // Canonical URL as declared by the page
+    const canonicalUrl = absoluteUrl(doc.querySelector('link[rel~="canonical"]')?.getAttribute('href'), finalUrl);
+    const ogUrl = absoluteUrl(metaContent(doc, 'og:url'), finalUrl);
+
+    // JSON-LD, Twitter card and Dublin Core metadata
+    const structured = extractStructured(doc);
+
+    // Site rules: read selector overrides, then strip/keep before Readability
+    const rule = resolveRules(extractDomain(finalUrl), rules);
+    const overrides = readOverrides(doc, rule);
+    applyRules(doc, rule);
+
     const reader = new Readability(doc);
     const article = reader.parse();
 
     if (!article || !article.content || article.content.trim().length < 50) {
       return {
         success: false,
-        status: response.status,
+        status,
         error: 'No content could be extracted',
         partial: !!article?.content,
-        meta: { ogTitle, ogAuthor, ogPublished, ogSiteName, h1, titleTag, timeDatetime },
+        meta: { ogTitle: overrides.title || ogTitle, ogAuthor, ogPublished, ogSiteName, h1, titleTag, timeDatetime, structured, canonicalUrl, ogUrl },
       };
     }
 
@@ -93,10 +126,10 @@ export async function fetchArticle(url) {
     return {
       success: true,
       finalUrl,
-      status: response.status,
+      status,
       article: {
-        title: article.title || ogTitle || titleTag || h1 || null,
-        byline: article.byline || ogAuthor || null,
+        title: overrides.title || article.title || ogTitle || titleTag || h1 || null,
+        byline: overrides.author || article.byline || ogAuthor || null,
         content: markdown,
         excerpt: article.excerpt || null,
         length: article.length || 0,
@@ -109,6 +142,12 @@ export async function fetchArticle(url) {
         h1,
         titleTag,
         timeDatetime,
+        ruleTitle: overrides.title,
+        rulePublished: overrides.published,
+        ruleAuthor: overrides.author,
+        structured,
+        canonicalUrl,
+        ogUrl,
       },
     };
   } finally {
@@ -116,6 +155,48 @@ export async function fetchArticle(url) {
   }
 }
 
+function absoluteUrl(href, base) {
+  if (!href) return null;
+  try {
+    return new URL(href.trim(), base).toString();
+  } catch {
+    return null;
+  }
+}
+
+function isPdfResponse(response) {
+  const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (type === 'application/pdf' || type === 'application/x-pdf') return true;
+  // Some servers send PDFs as a generic binary type
+  if (type === 'application/octet-stream' || type === 'binary/octet-stream') {
+    try {
+      return new URL(response.url).pathname.toLowerCase().endsWith('.pdf');
+    } catch {
+      return false;
+    }
+  }
+  return false;
+}
+
+async function fetchPdf(response, contentLength) {
+  if (contentLength && parseInt(contentLength, 10) > MAX_PDF_BYTES) {
+    return { success: false, error: 'Response too large', status: response.status };
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > MAX_PDF_BYTES) {
+    return { success: false, error: 'Response too large', status: response.status };
+  }
+  if (!isPdf(buffer)) {
+    return { success: false, error: 'Response is not a valid PDF', status: response.status };
+  }
+
+  const result = await extractPdf(buffer, response.url, { status: response.status });
+  // Keep the original bytes so the caller can store them as an attachment
+  if (result.success) result.pdf = buffer;
+  return result;
+}
+
 function metaContent(doc, nameOrProperty) {
   const el = doc.querySelector(
     `meta[property="${nameOrProperty}"], meta[name="${nameOrProperty}"]`
@@ -123,6 +204,27 @@ function metaContent(doc, nameOrProperty) {
   return el?.getAttribute('content')?.trim() || null;
 }
 
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into
+ * milliseconds from now. Returns null when absent or malformed.
+ */
+export function parseRetryAfter(header) {
+  if (!header) return null;
+  const trimmed = header.trim();
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10) * 1000;
+  const date = Date.parse(trimmed);
+  if (isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+// Statuses that won't change on retry. 429 and 5xx are transient, and 403 is
+// often bot protection that clears up later.
+const PERMANENT_STATUSES = new Set([400, 401, 404, 410]);
+
+export function isPermanentStatus(status) {
+  return PERMANENT_STATUSES.has(status);
+}
+
 function httpErrorMessage(status) {
   const messages = {
     400: 'Bad request (400)',
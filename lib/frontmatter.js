@@ -1,32 +1,12 @@
 /**
- * Build YAML frontmatter for saved articles.
+ * Read and write YAML frontmatter for saved articles. Which fields a note
+ * gets is up to its template (see template.js).
  * Uses the yaml package for proper escaping of special characters.
  */
 
-import { stringify } from 'yaml';
-
-export function buildFrontmatter({ url, title, author, source, published, tags, status, warning }) {
-  const fm = {};
-
-  // Required fields (always present)
-  fm.url = url;
-  fm.saved = new Date().toISOString().split('T')[0];
-  fm.title = title || 'Untitled';
-  fm.source = source || 'Unknown';
-
-  // Optional fields (omit if null/undefined)
-  if (author) fm.author = author;
-  if (published) fm.published = published;
-
-  // Tags (always present, even if empty fallback)
-  fm.tags = tags && tags.length > 0 ? tags : ['untagged'];
-
-  // Status
-  fm.status = status || 'complete';
-
-  // Warning (only for partial saves)
-  if (warning) fm.warning = warning;
+import { stringify, parse } from 'yaml';
 
+export function stringifyFrontmatter(fm) {
   const yamlStr = stringify(fm, {
     lineWidth: 0, // no wrapping
     singleQuote: false,
@@ -34,3 +14,22 @@ export function buildFrontmatter({ url, title, author, source, published, tags,
 
   return `---\n${yamlStr}---`;
 }
+
+/**
+ * Split a note into its frontmatter fields and body.
+ * Returns { data, body }; data is null when there is no valid frontmatter.
+ */
+export function parseFrontmatter(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/);
+  if (!match) return { data: null, body: content };
+
+  let data;
+  try {
+    data = parse(match[1]);
+  } catch {
+    return { data: null, body: content };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) data = null;
+
+  return { data, body: content.slice(match[0].length) };
+}
@@ -0,0 +1,81 @@
+/**
+ * Hub notes for sources and authors (Sources/<name>.md, Authors/<name>.md).
+ * Each hub lists the articles saved from that source or by that author,
+ * and in Obsidian mode the articles link back, so the graph groups them by
+ * publication and writer.
+ */
+
+import { readFile, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { atomicWrite } from './atomic.js';
+import { parseFrontmatter, stringifyFrontmatter } from './frontmatter.js';
+import { appendToSection, sectionLines } from './note.js';
+
+/**
+ * A name that works as both a filename and a wikilink target: no path
+ * separators, no characters Obsidian reserves in links.
+ */
+export function hubName(name) {
+  if (typeof name !== 'string') return null;
+  const cleaned = name
+    .replace(/[\x00-\x1f\x7f]/g, '')
+    .replace(/[[\]|#^]/g, '')
+    .replace(/[/\\:*?"<>]/g, '-')
+    .replace(/\s+/g, ' ')
+    .replace(/^[-.\s]+|[-.\s]+$/g, '')
+    .substring(0, 120);
+  return cleaned || null;
+}
+
+/**
+ * `[[Sources/The Verge|The Verge]]`. Linking by path keeps hubs from
+ * colliding with articles that share a name.
+ */
+export function hubLink(folder, name) {
+  const target = hubName(name);
+  if (!target) return null;
+  return folder ? `[[${folder}/${target}|${target}]]` : `[[${target}]]`;
+}
+
+const ARTICLES_HEADING = '## Articles';
+
+/**
+ * Add a saved article to the hub note for `name`, creating the hub if it
+ * doesn't exist yet. `kind` is "source" or "author"; `article` is
+ * { file, title, saved } with `file` relative to the vault.
+ *
+ * The link goes at the end of the hub's "## Articles" list, and the
+ * `articles` count and `last_saved` date in its frontmatter are updated.
+ * Anything else in the hub is the user's and is kept. An article the hub
+ * already links to is not added again. Returns the hub's vault-relative
+ * path, or null when the name is unusable.
+ */
+export async function addToHub(vaultPath, folder, name, kind, article) {
+  const target = hubName(name);
+  if (!target) return null;
+
+  const file = folder ? `${folder}/${target}.md` : `${target}.md`;
+  const filepath = join(vaultPath, file);
+
+  let content;
+  try {
+    content = await readFile(filepath, 'utf-8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    await mkdir(join(vaultPath, folder), { recursive: true });
+    content = `${stringifyFrontmatter({ type: kind })}\n\n# ${name}\n`;
+  }
+
+  const { data, body } = parseFrontmatter(content);
+  const path = article.file.replace(/\.md$/, '');
+  if (body.includes(`[[${path}|`) || body.includes(`[[${path}]]`)) return file;
+
+  const label = String(article.title || path.split('/').pop()).replace(/[[\]|]/g, '');
+  const updated = appendToSection(body, ARTICLES_HEADING, `- [[${path}|${label}]] (${article.saved})`);
+  const count = sectionLines(updated, ARTICLES_HEADING).filter(l => /^\s*[-*] \[\[/.test(l)).length;
+
+  const fields = { ...(data || { type: kind }), articles: count };
+  if (!fields.last_saved || String(fields.last_saved) < article.saved) fields.last_saved = article.saved;
+  await atomicWrite(filepath, `${stringifyFrontmatter(fields)}\n${updated}`);
+  return file;
+}
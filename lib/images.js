@@ -0,0 +1,203 @@
+/**
+ * Download images referenced by article markdown into the vault.
+ * Rewrites remote image links to Obsidian embeds and dedupes by content hash.
+ * Downloading and saving are separate steps, so nothing is written to the
+ * vault until the note that embeds the images is.
+ */
+
+import { writeFile, mkdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+import { isValidUrl } from './normalize.js';
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36';
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;     // 5 MB per image
+const MAX_ARTICLE_BYTES = 25 * 1024 * 1024;  // 25 MB per article
+const MAX_REDIRECTS = 5;
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp',
+};
+
+// ![alt](url) or ![alt](url "title") as emitted by Turndown
+const IMAGE_PATTERN = /!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+
+/**
+ * Download every remote image in `markdown`, without writing anything.
+ * Images that fail validation, exceed limits or can't be fetched map to
+ * null. Returns Map(resolved url → { data, ext } | null) for localizeImages.
+ */
+export async function fetchImages(markdown, {
+  baseUrl,
+  maxImageBytes = MAX_IMAGE_BYTES,
+  maxArticleBytes = MAX_ARTICLE_BYTES,
+} = {}) {
+  const images = new Map();
+  let totalBytes = 0;
+
+  for (const match of markdown.matchAll(IMAGE_PATTERN)) {
+    const src = resolveUrl(match[2], baseUrl);
+    if (!src || images.has(src)) continue;
+
+    const image = isValidUrl(src)
+      ? await downloadImage(src, Math.min(maxImageBytes, maxArticleBytes - totalBytes))
+      : null;
+    if (image) totalBytes += image.data.length;
+    images.set(src, image);
+  }
+
+  return images;
+}
+
+/**
+ * Save the images fetchImages downloaded into `<vault>/<folder>/` and
+ * replace their links in `markdown` with `![[folder/file]]` embeds.
+ * Images that couldn't be downloaded keep their original remote link.
+ * Returns { content, saved, skipped }.
+ */
+export async function localizeImages(markdown, images, { vaultPath, folder = 'Attachments', baseUrl } = {}) {
+  const localByUrl = new Map();
+  let saved = 0;
+  let skipped = 0;
+
+  for (const [src, image] of images) {
+    if (!image) {
+      skipped++;
+      continue;
+    }
+    localByUrl.set(src, await saveAttachment(vaultPath, folder, image.data, image.ext));
+    saved++;
+  }
+
+  const content = markdown.replace(IMAGE_PATTERN, (whole, alt, rawSrc) => {
+    const local = localByUrl.get(resolveUrl(rawSrc, baseUrl));
+    if (!local) return whole;
+    const caption = embedAlt(alt);
+    return caption ? `![[${local}|${caption}]]` : `![[${local}]]`;
+  });
+
+  return { content, saved, skipped };
+}
+
+/**
+ * Store binary data in the attachments folder under a content-addressed
+ * name, so identical files share one attachment. Returns the vault-relative
+ * path for use in embeds.
+ */
+export async function saveAttachment(vaultPath, folder, data, ext) {
+  const hash = createHash('sha256').update(data).digest('hex').slice(0, 16);
+  const filename = `${hash}.${ext}`;
+  const dir = join(vaultPath, folder);
+  const filepath = join(dir, filename);
+  if (!existsSync(filepath)) {
+    await mkdir(dir, { recursive: true });
+    await writeFile(filepath, data);
+  }
+  return `${folder}/${filename}`;
+}
+
+async function downloadImage(url, limit) {
+  if (limit <= 0) return null;
+
+  const response = await fetchImage(url);
+  if (!response) return null;
+  if (!response.ok) {
+    await response.body?.cancel().catch(() => {});
+    return null;
+  }
+
+  const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  const ext = EXTENSIONS[type];
+  const contentLength = parseInt(response.headers.get('content-length') || '0', 10);
+  if (!ext || contentLength > limit) {
+    await response.body?.cancel().catch(() => {});
+    return null;
+  }
+
+  const data = await readLimited(response, limit);
+  if (!data) return null;
+  return { data, ext };
+}
+
+/**
+ * Fetch an image, following redirects by hand so that every hop is checked
+ * with isValidUrl before it is requested. Returns null for a blocked or
+ * failed request, or too many redirects.
+ */
+async function fetchImage(url) {
+  const signal = AbortSignal.timeout(15_000);
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!isValidUrl(current)) return null;
+
+    let response;
+    try {
+      response = await fetch(current, {
+        headers: { 'User-Agent': USER_AGENT, 'Accept': 'image/*' },
+        redirect: 'manual',
+        signal,
+      });
+    } catch {
+      return null;
+    }
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+    await response.body?.cancel().catch(() => {});
+    try {
+      current = new URL(location, current).href;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a response body, bailing out as soon as it exceeds `limit` bytes.
+ * Content-Length can be missing or wrong, so the stream is counted directly.
+ */
+async function readLimited(response, limit) {
+  if (!response.body) return null;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      size += value.length;
+      if (size > limit) {
+        await reader.cancel();
+        return null;
+      }
+      chunks.push(value);
+    }
+  } catch {
+    return null;
+  }
+  return size > 0 ? Buffer.concat(chunks) : null;
+}
+
+function resolveUrl(src, baseUrl) {
+  try {
+    return new URL(src, baseUrl).toString();
+  } catch {
+    return null;
+  }
+}
+
+function embedAlt(alt) {
+  // `|` and brackets would break the wikilink; a bare number would be read as a width
+  const cleaned = alt.replace(/[[\]|]/g, '').replace(/\s+/g, ' ').trim();
+  if (!cleaned || /^\d+(x\d+)?$/.test(cleaned)) return '';
+  return cleaned;
+}
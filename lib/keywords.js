@@ -1,8 +1,26 @@
 /**
- * Basic keyword extraction from article content.
+ * Keyword extraction from article content.
  * Used as fallback tags when Finch doesn't provide --tags.
+ *
+ * Terms are scored by TF-IDF: how often they occur in the article, weighed
+ * against how many saved notes already use them, so words every article in
+ * the vault shares don't become tags. Candidates are single words (plurals
+ * merged by a light stemmer) and two- or three-word phrases that recur in
+ * the article, which become hyphenated tags like `machine-learning`.
+ *
+ * Corpus statistics are cached per note in <root>/.keywords.json and
+ * reconciled against the notes on disk when loaded, like the URL index.
+ * The cache also keeps each note's tags, the vocabulary for LLM tagging.
  */
 
+import { readFile, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+import { atomicWrite } from './atomic.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { listNotes } from './urlindex.js';
+import { DEFAULT_FOLDER } from './slugify.js';
+import { normalizeTag } from './tagging.js';
+
 const STOP_WORDS = new Set([
   'the','be','to','of','and','a','in','that','have','i','it','for','not','on',
   'with','he','as','you','do','at','this','but','his','by','from','they','we',
@@ -17,30 +35,216 @@ const STOP_WORDS = new Set([
   'will','can','need','dare','ought','used','may','also','very','often','however',
   'too','usually','really','already','still','since','another','each','every',
   'both','few','more','most','other','some','such','many','much','own','same',
+  'is','am','had','said','says','those','here','where','why','while','through',
+  'between','under','again','once','off','down','yet','though','whether','thing',
+  'things','lot','got','let','put','made','going','don','doesn','didn',
+  'isn','aren','wasn','won','couldn','shouldn','wouldn','ll','ve','re',
 ]);
 
-export function extractKeywords(text, count = 5) {
+// Version 1: unique stems and repeated phrases per note
+// Version 2: each note's normalized tags
+const CORPUS_VERSION = 2;
+
+const MAX_PHRASE_WORDS = 3;
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+
+/**
+ * The `count` best keywords for `text`. `corpus` is the statistics from
+ * loadCorpus; without it terms are ranked by frequency alone.
+ */
+export function extractKeywords(text, count = 5, corpus = null) {
   if (!text || text.length < 50) return [];
 
-  const cleaned = text
+  const terms = countTerms(tokenize(cleanMarkdown(text)));
+  const docs = corpus?.docs || 0;
+
+  const scored = [...terms.values()].map(term => {
+    const df = corpus?.df.get(term.key) || 0;
+    const idf = Math.log((docs + 1) / (df + 1)) + 1;
+    // Phrases are rarer than their words, so the boost lets a recurring
+    // phrase outrank the words it is made of
+    return { ...term, score: (1 + Math.log(term.count)) * idf * term.stems.length };
+  });
+  scored.sort((a, b) => b.score - a.score || b.count - a.count || a.key.localeCompare(b.key));
+
+  // A phrase and the words in it would say the same thing twice
+  const taken = new Set();
+  const keywords = [];
+  for (const term of scored) {
+    if (keywords.length >= count) break;
+    if (term.stems.some(stem => taken.has(stem))) continue;
+    for (const stem of term.stems) taken.add(stem);
+    keywords.push(term.label);
+  }
+  return keywords;
+}
+
+/**
+ * Document frequencies across saved notes, and how many notes use each
+ * tag: { docs, df: Map(term → notes), tags: Map(tag → notes) }.
+ * Notes are only re-read when they changed since the cache was written;
+ * notes without a url are cached with no terms and not counted. With
+ * `readOnly` (dry runs) the cache is read but never written.
+ */
+export async function loadCorpus(vaultPath, { root = DEFAULT_FOLDER, readOnly = false } = {}) {
+  const cachePath = join(vaultPath, root, '.keywords.json');
+  let cached = {};
+  try {
+    const parsed = JSON.parse(await readFile(cachePath, 'utf-8'));
+    if (parsed?.version === CORPUS_VERSION && parsed.notes && typeof parsed.notes === 'object') cached = parsed.notes;
+  } catch {
+    // No cache yet, or unreadable; rebuilt below
+  }
+
+  const notes = {};
+  let changed = false;
+  for (const file of await listNotes(vaultPath, root)) {
+    let mtime;
+    try {
+      mtime = (await stat(join(vaultPath, file))).mtimeMs;
+    } catch {
+      continue;
+    }
+    if (cached[file]?.mtime === mtime) {
+      notes[file] = cached[file];
+      continue;
+    }
+    // Remembered even when there is nothing to count, so the note isn't
+    // read again on every save
+    notes[file] = { mtime, ...await noteTerms(join(vaultPath, file)) };
+    changed = true;
+  }
+  if (Object.keys(cached).some(file => !notes[file])) changed = true;
+  if (changed && !readOnly) await atomicWrite(cachePath, JSON.stringify({ version: CORPUS_VERSION, notes }));
+
+  const df = new Map();
+  const tags = new Map();
+  let docs = 0;
+  for (const note of Object.values(notes)) {
+    for (const tag of note.tags || []) tags.set(tag, (tags.get(tag) || 0) + 1);
+    if (note.skipped) continue;
+    docs++;
+    for (const key of note.terms) df.set(key, (df.get(key) || 0) + 1);
+  }
+  return { docs, df, tags };
+}
+
+/**
+ * A note's terms and tags. Notes without a url aren't articles, so only
+ * their tags count (`skipped`).
+ */
+async function noteTerms(filepath) {
+  let content;
+  try {
+    content = await readFile(filepath, 'utf-8');
+  } catch {
+    return { terms: [], tags: [], skipped: true };
+  }
+  const { data, body } = parseFrontmatter(content);
+  const tags = [...new Set((Array.isArray(data?.tags) ? data.tags : []).map(normalizeTag).filter(Boolean))];
+  if (!data || typeof data.url !== 'string') return { terms: [], tags, skipped: true };
+  const text = cleanMarkdown(body.replace(/%%[\s\S]*?%%/g, ''));
+  return { terms: [...countTerms(tokenize(text)).keys()], tags };
+}
+
+function cleanMarkdown(text) {
+  return text
     .replace(/!\[.*?\]\(.*?\)/g, '')
+    .replace(/!\[\[[^\]]*\]\]/g, '')
     .replace(/\[([^\]]+)\]\(.*?\)/g, '$1')
+    .replace(/\[\[(?:[^\]|]*\|)?([^\]]*)\]\]/g, '$1')
     .replace(/```[\s\S]*?```/g, '')
     .replace(/`[^`]+`/g, '')
+    .replace(/https?:\/\/\S+/g, '')
     .replace(/#{1,6}\s+/g, '')
     .replace(/[*_~]+/g, '')
     .replace(/\n{2,}/g, '\n')
     .trim();
+}
+
+/**
+ * Words in order, with `null` wherever a phrase can't continue (sentence
+ * punctuation, line breaks, stop words). Segmentation follows Unicode word
+ * boundaries, so accented words and scripts without spaces come out whole.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let attached = false;
+  for (const { segment, isWordLike } of segmenter.segment(text)) {
+    if (!isWordLike) {
+      // Spaces and hyphens join words into phrases; anything else breaks them
+      if (!/^[ \t-]+$/.test(segment)) tokens.push(null);
+      attached = false;
+      continue;
+    }
+    const word = segment.toLowerCase().replace(/[’']s$/, '').replace(/[^\p{L}\p{N}]/gu, '');
+    // `attached` words follow the previous one without a space, as in
+    // Chinese or Japanese, and are joined without a hyphen
+    tokens.push(isKeyword(word) ? { word, stem: stem(word), attached } : null);
+    attached = true;
+  }
+  return tokens;
+}
 
-  const words = cleaned.toLowerCase().match(/[a-z]{3,}/g) || [];
-  const freqMap = new Map();
-  for (const word of words) {
-    if (STOP_WORDS.has(word)) continue;
-    freqMap.set(word, (freqMap.get(word) || 0) + 1);
+function isKeyword(word) {
+  if (STOP_WORDS.has(word) || /^\p{N}+$/u.test(word)) return false;
+  // Latin words need three letters; a two-character word in other scripts
+  // (機械, 学習) already carries meaning
+  return /^[\p{Script=Latin}\p{N}]+$/u.test(word) ? word.length >= 3 : [...word].length >= 2;
+}
+
+/**
+ * Merge plurals onto their singular (policies → policy, boxes → box,
+ * returns → return). Only Latin-script words are touched.
+ */
+function stem(word) {
+  if (!/^\p{Script=Latin}+$/u.test(word) || word.length <= 3) return word;
+  if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (/(?:x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (/[^su]s$/.test(word) && !word.endsWith('is')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Single words and recurring phrases, keyed by their stems:
+ * Map(key → { key, stems, label, count }). The label is the most common
+ * spelling in the text.
+ */
+function countTerms(tokens) {
+  const terms = new Map();
+  const add = (words) => {
+    const stems = words.map(w => w.stem);
+    const key = stems.join('-');
+    const label = words.map((w, i) => (i > 0 && !w.attached ? `-${w.word}` : w.word)).join('');
+    let term = terms.get(key);
+    if (!term) {
+      term = { key, stems, count: 0, labels: new Map() };
+      terms.set(key, term);
+    }
+    term.count++;
+    term.labels.set(label, (term.labels.get(label) || 0) + 1);
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (!tokens[i]) continue;
+    add([tokens[i]]);
+    for (let n = 2; n <= MAX_PHRASE_WORDS; n++) {
+      const words = tokens.slice(i, i + n);
+      if (words.length < n || words.some(w => !w)) break;
+      // "data data" is a repeated word, not a phrase
+      if (new Set(words.map(w => w.stem)).size < n) break;
+      add(words);
+    }
   }
 
-  return [...freqMap.entries()]
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, count)
-    .map(([word]) => word.replace(/\s+/g, '-'));
+  const result = new Map();
+  for (const [key, term] of terms) {
+    // A phrase has to recur to be more than a coincidence of adjacent words
+    if (term.stems.length > 1 && term.count < 2) continue;
+    const label = [...term.labels.entries()].sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)[0][0];
+    result.set(key, { key, stems: term.stems, label, count: term.count });
+  }
+  return result;
 }
@@ -0,0 +1,252 @@
+/**
+ * Text completion against the configured AI provider.
+ *
+ * Providers speak one of three APIs, each with an adapter that maps a prompt
+ * to its request and its response (or error) back to text:
+ *
+ *   openai     POST {base}/chat/completions — OpenAI, OpenRouter, xAI, and
+ *              Gemini's OpenAI-compatible endpoint
+ *   anthropic  POST {base}/messages — Anthropic Messages API
+ *   gemini     POST {base}/models/{model}:generateContent — Gemini native
+ *
+ * API key is resolved by config.js from env vars or OpenClaw config.
+ *
+ * Requests only go to the known cloud hosts below, with their own keys,
+ * unless the user registered a custom endpoint (a local Ollama, vLLM, ...)
+ * in `endpoints` and selected it with `provider`. A custom endpoint only
+ * ever gets the key from its own env var.
+ */
+
+const ALLOWED_API_HOSTS = new Set([
+  'api.openai.com',
+  'generativelanguage.googleapis.com',
+  'openrouter.ai',
+  'api.x.ai',
+  'api.anthropic.com',
+]);
+
+const ALLOWED_API_KEY_ENVS = new Set([
+  'OPENAI_API_KEY',
+  'GEMINI_API_KEY',
+  'OPENROUTER_API_KEY',
+  'XAI_API_KEY',
+  'ANTHROPIC_API_KEY',
+]);
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Env vars a custom endpoint may take its key from. The prefix means a
+// tampered config can't point an endpoint at GITHUB_TOKEN, AWS keys or any
+// other secret that happens to be in the environment.
+const ENDPOINT_KEY_ENV = /^CLAWSIDIAN_[A-Z0-9_]+$/;
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const ADAPTERS = {
+  openai: {
+    name: 'OpenAI-compatible',
+    request: ({ baseUrl, apiKey, model, prompt, maxTokens, temperature }) => ({
+      url: `${baseUrl}/chat/completions`,
+      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      body: {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: maxTokens,
+        temperature,
+      },
+    }),
+    text: data => data.choices?.[0]?.message?.content,
+    emptyReason: data => data.choices?.[0]?.finish_reason,
+    error: data => data.error?.message,
+  },
+
+  anthropic: {
+    name: 'Anthropic',
+    request: ({ baseUrl, apiKey, model, prompt, maxTokens, temperature }) => ({
+      url: `${baseUrl}/messages`,
+      headers: { ...(apiKey && { 'x-api-key': apiKey }), 'anthropic-version': ANTHROPIC_VERSION },
+      body: {
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        messages: [{ role: 'user', content: prompt }],
+      },
+    }),
+    text: data => (Array.isArray(data.content)
+      ? data.content.filter(block => block.type === 'text').map(block => block.text).join('')
+      : null),
+    emptyReason: data => data.stop_reason,
+    error: data => data.error?.message,
+  },
+
+  gemini: {
+    name: 'Gemini',
+    request: ({ baseUrl, apiKey, model, prompt, maxTokens, temperature }) => ({
+      url: `${baseUrl}/models/${encodeURIComponent(model)}:generateContent`,
+      headers: apiKey ? { 'x-goog-api-key': apiKey } : {},
+      body: {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: { maxOutputTokens: maxTokens, temperature },
+      },
+    }),
+    text: data => data.candidates?.[0]?.content?.parts?.map(part => part.text || '').join(''),
+    emptyReason: data => data.promptFeedback?.blockReason || data.candidates?.[0]?.finishReason,
+    // Errors come back as { error: {...} }, or as a one-element array of them
+    error: data => (Array.isArray(data) ? data[0] : data)?.error?.message,
+  },
+};
+
+/**
+ * Which API a base URL speaks, when the provider doesn't say.
+ */
+export function detectApi(baseUrl) {
+  try {
+    const url = new URL(baseUrl);
+    if (url.hostname === 'api.anthropic.com') return 'anthropic';
+    if (url.hostname === 'generativelanguage.googleapis.com' && !/\/openai\/?$/.test(url.pathname)) return 'gemini';
+  } catch {
+    // Checked by isAllowedBaseUrl
+  }
+  return 'openai';
+}
+
+function isAllowedBaseUrl(baseUrl) {
+  try {
+    const url = new URL(baseUrl);
+    return ALLOWED_API_HOSTS.has(url.hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Why a custom endpoint can't be used, or null if it can. Endpoints need a
+ * base URL that is https (or http on this machine), an API we have an
+ * adapter for, and, if they use a key, a CLAWSIDIAN_* env var of their own.
+ */
+export function endpointProblem(endpoint) {
+  if (!endpoint || typeof endpoint !== 'object' || Array.isArray(endpoint)) return 'not an object';
+
+  let url;
+  try {
+    url = new URL(endpoint.baseUrl);
+  } catch {
+    return 'baseUrl is not a URL';
+  }
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && LOOPBACK_HOSTS.has(url.hostname))) {
+    return 'baseUrl must use https unless it is on localhost';
+  }
+  if (url.username || url.password) return 'baseUrl must not contain credentials';
+
+  if (endpoint.api !== undefined && !(endpoint.api in ADAPTERS)) {
+    return `api must be one of ${Object.keys(ADAPTERS).join(', ')}`;
+  }
+  if (endpoint.apiKeyEnv !== undefined
+    && !(typeof endpoint.apiKeyEnv === 'string' && ENDPOINT_KEY_ENV.test(endpoint.apiKeyEnv))) {
+    return 'apiKeyEnv must be a CLAWSIDIAN_* variable';
+  }
+  if (endpoint.model !== undefined && typeof endpoint.model !== 'string') return 'model must be a string';
+  return null;
+}
+
+/**
+ * The registered endpoint selected by `provider`. Its key comes only from
+ * its own env var; keys resolved for the cloud providers are never sent.
+ */
+function resolveEndpoint(config) {
+  const endpoint = config.endpoints?.[config.provider];
+  const problem = endpoint ? endpointProblem(endpoint) : 'not registered in endpoints';
+  if (problem) {
+    process.stderr.write(`Warning: Can't use provider "${config.provider}": ${problem}\n`);
+    return null;
+  }
+
+  const apiKey = endpoint.apiKeyEnv ? process.env[endpoint.apiKeyEnv] : null;
+  if (endpoint.apiKeyEnv && !apiKey) return null;
+
+  const model = endpoint.model || config.summaryModel;
+  if (!model) {
+    process.stderr.write(`Warning: No model set for provider "${config.provider}"\n`);
+    return null;
+  }
+
+  const baseUrl = endpoint.baseUrl.replace(/\/+$/, '');
+  return { baseUrl, apiKey, api: endpoint.api || 'openai', model };
+}
+
+function resolveProvider(config) {
+  if (config.provider) return resolveEndpoint(config);
+
+  const baseUrl = (config.openaiBaseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+
+  // Only read from known provider env vars to prevent exfiltration of arbitrary secrets
+  const apiKeyEnv = config.apiKeyEnv && ALLOWED_API_KEY_ENVS.has(config.apiKeyEnv)
+    ? config.apiKeyEnv
+    : null;
+
+  const apiKey = config.apiKey
+    || (apiKeyEnv && process.env[apiKeyEnv])
+    || process.env.OPENAI_API_KEY;
+  if (!apiKey) return null;
+
+  return {
+    baseUrl,
+    apiKey,
+    api: detectApi(baseUrl),
+    model: config.summaryModel || 'gpt-4.1-nano',
+  };
+}
+
+/**
+ * Send a single-turn prompt to the configured provider and return the
+ * response text, or null when there is no usable provider or the call
+ * fails. Failures are reported on stderr with the provider's own message.
+ */
+export async function complete(prompt, config = {}, { maxTokens = 200, temperature = 0.3 } = {}) {
+  const baseUrl = config.openaiBaseUrl || 'https://api.openai.com/v1';
+  if (!config.provider && !isAllowedBaseUrl(baseUrl)) {
+    process.stderr.write(`Warning: Blocked AI request to untrusted host: ${baseUrl}\n`);
+    return null;
+  }
+
+  const provider = resolveProvider(config);
+  if (!provider) return null;
+
+  const adapter = ADAPTERS[provider.api];
+  const { url, headers, body } = adapter.request({ ...provider, prompt, maxTokens, temperature });
+
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(30_000),
+    });
+  } catch (err) {
+    const reason = err.name === 'TimeoutError' ? 'timed out' : err.cause?.code || err.message;
+    process.stderr.write(`Warning: ${adapter.name} API request failed: ${reason}\n`);
+    return null;
+  }
+
+  let data = null;
+  try {
+    data = await res.json();
+  } catch {
+    // Non-JSON body; only the status is reported
+  }
+
+  if (!res.ok) {
+    const message = data ? adapter.error(data) : null;
+    process.stderr.write(`Warning: ${adapter.name} API returned ${res.status}${message ? `: ${message}` : ''}\n`);
+    return null;
+  }
+
+  const text = data ? adapter.text(data)?.trim() : null;
+  if (!text) {
+    const reason = data ? adapter.emptyReason(data) : 'invalid JSON';
+    process.stderr.write(`Warning: ${adapter.name} API returned no text${reason ? ` (${reason})` : ''}\n`);
+    return null;
+  }
+  return text;
+}
@@ -0,0 +1,130 @@
+/**
+ * Vault-level advisory lock so concurrent clawsidian processes don't
+ * clobber each other's queue updates or save the same article twice.
+ *
+ * The lock is a file created with O_EXCL holding the owner's pid, host and
+ * a random token. A lock is considered stale when its owner process is gone
+ * (same host) or it is older than STALE_MS. It lives in `dataDir`, the notes
+ * root folder, next to the queue and URL index.
+ */
+
+import { open, readFile, rename, unlink, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+import { hostname } from 'node:os';
+import { randomUUID } from 'node:crypto';
+
+const STALE_MS = 5 * 60 * 1000;
+const POLL_MS = 100;
+export const DEFAULT_LOCK_TIMEOUT_MS = 30_000;
+
+export function lockPath(dataDir) {
+  return join(dataDir, '.clawsidian.lock');
+}
+
+/**
+ * Run `fn` while holding the vault lock. Waits up to `timeoutMs` for another
+ * process to release it, then throws an error with code 'ELOCKED'.
+ */
+export async function withVaultLock(dataDir, fn, { timeoutMs = DEFAULT_LOCK_TIMEOUT_MS } = {}) {
+  const path = lockPath(dataDir);
+  const token = await acquire(path, timeoutMs);
+  try {
+    return await fn();
+  } finally {
+    await release(path, token);
+  }
+}
+
+async function acquire(path, timeoutMs) {
+  const token = randomUUID();
+  const owner = JSON.stringify({ pid: process.pid, host: hostname(), token, created: new Date().toISOString() });
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    try {
+      const handle = await open(path, 'wx', 0o600);
+      try {
+        await handle.writeFile(owner, 'utf-8');
+      } finally {
+        await handle.close();
+      }
+      return token;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    if (await breakIfStale(path)) continue;
+
+    if (Date.now() >= deadline) {
+      const err = new Error(`Vault is locked by another clawsidian process (waited ${Math.round(timeoutMs / 1000)}s)`);
+      err.code = 'ELOCKED';
+      throw err;
+    }
+    await new Promise(res => setTimeout(res, POLL_MS + Math.random() * POLL_MS));
+  }
+}
+
+async function release(path, token) {
+  try {
+    const current = await readOwner(path);
+    if (current?.token === token) await unlink(path);
+  } catch {
+    // Already gone
+  }
+}
+
+/**
+ * Remove the lock if its owner is dead or it has been held too long.
+ * Returns true if a stale lock was removed.
+ */
+async function breakIfStale(path) {
+  const owner = await readOwner(path);
+  if (!(await isStale(path, owner))) return false;
+
+  // Move the lock aside atomically, then make sure it's the one we judged
+  // stale — another process may have replaced it in the meantime
+  const aside = `${path}.${randomUUID().slice(0, 8)}.stale`;
+  try {
+    await rename(path, aside);
+  } catch {
+    return false;
+  }
+  const moved = await readOwner(aside);
+  if (owner && moved?.token !== owner.token) {
+    await rename(aside, path).catch(() => {});
+    return false;
+  }
+  await unlink(aside).catch(() => {});
+  return true;
+}
+
+async function readOwner(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+async function isStale(path, owner) {
+  // Unreadable or half-written lock files are judged by age alone
+  if (!owner || typeof owner !== 'object') {
+    try {
+      return Date.now() - (await stat(path)).mtimeMs > STALE_MS;
+    } catch {
+      return false;
+    }
+  }
+
+  const created = Date.parse(owner.created);
+  if (isNaN(created) || Date.now() - created > STALE_MS) return true;
+
+  if (owner.host === hostname() && Number.isInteger(owner.pid)) {
+    try {
+      process.kill(owner.pid, 0);
+    } catch (err) {
+      return err.code === 'ESRCH';
+    }
+  }
+  return false;
+}
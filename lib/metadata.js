@@ -38,24 +38,129 @@ const KNOWN_SOURCES = {
   'youtube.com': 'YouTube',
 };
 
+/**
+ * Combine Readability output, meta tags and structured data into note
+ * metadata. Sources are tried in priority order for each field:
+ *
+ *   title:     site rule > JSON-LD headline > Readability > og:title >
+ *              twitter:title > Dublin Core > <title> > <h1>
+ *              (the other distinct titles become alternateTitles)
+ *   authors:   site rule > JSON-LD > Readability byline > author meta >
+ *              citation_author > Dublin Core
+ *   published: site rule > JSON-LD > article:published_time / date meta >
+ *              Dublin Core > <time datetime>
+ *   modified:  JSON-LD > article:modified_time / og:updated_time > Dublin Core
+ *   source:    og:site_name > JSON-LD publisher > Dublin Core > domain
+ *   language:  JSON-LD > <html lang> > og:locale > Dublin Core
+ *   image:     JSON-LD > og:image > twitter:image
+ */
 export function extractMetadata(fetchResult, originalUrl) {
   const { article, meta, finalUrl } = fetchResult;
+  const sd = meta.structured || {};
+  const ld = sd.jsonLd || {};
+  const dc = sd.dublinCore || {};
 
-  const title = article.title
-    || meta.ogTitle
-    || meta.titleTag
-    || meta.h1
-    || null;
+  const titles = [
+    meta.ruleTitle, ld.headline, article.title, meta.ogTitle, sd.twitter?.title, dc.title, meta.titleTag, meta.h1,
+  ];
+  const title = titles.find(Boolean) || null;
 
-  const author = cleanAuthor(article.byline || meta.ogAuthor);
+  const authors = firstNonEmpty(
+    meta.ruleAuthor && [meta.ruleAuthor],
+    ld.authors,
+    article.byline && [article.byline],
+    meta.ogAuthor && [meta.ogAuthor],
+    sd.citationAuthors,
+    dc.creators,
+  ).map(cleanAuthor).filter(Boolean);
+  const uniqueAuthors = [...new Set(authors)];
+  const author = uniqueAuthors.length > 0 ? uniqueAuthors.join(', ') : null;
 
-  const source = deriveSource(finalUrl || originalUrl, meta.ogSiteName);
+  const source = deriveSource(finalUrl || originalUrl, meta.ogSiteName || ld.publisher || dc.publisher);
 
   const published = parseDate(
-    meta.ogPublished || meta.timeDatetime
+    meta.rulePublished || ld.datePublished || meta.ogPublished || dc.date || meta.timeDatetime
   );
 
-  return { title, author, source, published };
+  const modified = parseDate(ld.dateModified || sd.og?.modified || dc.modified);
+
+  const language = normalizeLanguage(ld.language || sd.htmlLang || sd.og?.locale || dc.language);
+
+  const image = absoluteUrl(ld.image || sd.og?.image || sd.twitter?.image, finalUrl || originalUrl);
+
+  const wordCount = countWords(article.content) || ld.wordCount || null;
+
+  return {
+    title,
+    alternateTitles: alternateTitles(title, titles, source),
+    author,
+    authors: uniqueAuthors,
+    source,
+    published,
+    modified: modified && modified !== published ? modified : null,
+    language,
+    image,
+    wordCount,
+  };
+}
+
+const MAX_ALTERNATE_TITLES = 3;
+
+/**
+ * Titles the page also goes by (social titles, the <title> tag, ...),
+ * without a trailing " | Site Name" and without repeating the main title.
+ */
+function alternateTitles(title, candidates, source) {
+  if (!title) return [];
+  const seen = new Set([title.replace(/\s+/g, ' ').trim().toLowerCase()]);
+  const alternates = [];
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    let cleaned = candidate.replace(/\s+/g, ' ').trim();
+    if (source) {
+      const suffix = new RegExp(`\\s+[|\\-–—:·]\\s+${escapeRegExp(source)}$`, 'i');
+      cleaned = cleaned.replace(suffix, '').trim();
+    }
+    const key = cleaned.toLowerCase();
+    if (!cleaned || seen.has(key)) continue;
+    seen.add(key);
+    alternates.push(cleaned);
+  }
+  return alternates.slice(0, MAX_ALTERNATE_TITLES);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function firstNonEmpty(...lists) {
+  return lists.find(list => Array.isArray(list) && list.length > 0) || [];
+}
+
+function normalizeLanguage(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+  // en_US → en-US; keep only well-formed BCP 47-ish tags
+  const tag = raw.trim().replace(/_/g, '-');
+  return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(tag) ? tag : null;
+}
+
+function absoluteUrl(raw, base) {
+  if (!raw) return null;
+  try {
+    const url = new URL(raw, base);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function countWords(markdown) {
+  if (!markdown) return 0;
+  const text = markdown
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1');
+  return (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
 }
 
 function cleanAuthor(raw) {
@@ -1,6 +1,22 @@
 /**
  * URL normalization for duplicate detection and storage.
  * Strips tracking params, normalizes protocol/host, removes fragments.
+ *
+ * Per-domain rules adjust this for sites whose URLs need special handling.
+ * Users extend them with `urlRules` in the config file, keyed by domain
+ * (subdomains match too):
+ *
+ *   "urlRules": {
+ *     "example.com": {
+ *       "keepParams": ["ref"],          // never strip these
+ *       "stripParams": ["share_*"],     // also strip these (* = prefix)
+ *       "onlyParams": ["id"],           // strip everything else
+ *       "pathRewrites": [["/print$", ""]],
+ *       "hostRewrites": [["^beta\\.", ""]],
+ *       "forceHttps": true, "stripWww": true,
+ *       "collapseMobileHost": true, "stripAmpPath": true
+ *     }
+ *   }
  */
 
 const TRACKING_PARAMS = new Set([
@@ -9,7 +25,37 @@ const TRACKING_PARAMS = new Set([
   'ocid', 'icid', 'ncid', 'sr_share', '_hsenc', '_hsmi',
 ]);
 
-export function normalizeUrl(rawUrl) {
+const DEFAULT_URL_RULE = {
+  forceHttps: true,
+  stripWww: true,
+  collapseMobileHost: true,  // m.example.com, mobile.example.com, amp.example.com
+  stripAmpPath: false,       // /article/amp → /article, on for sites known to use it
+  keepParams: [],
+  stripParams: [],
+  onlyParams: null,
+  pathRewrites: [],
+  hostRewrites: [],
+};
+
+const BUILTIN_URL_RULES = {
+  // WordPress AMP plugin: /post-slug/amp/
+  'wordpress.com': { stripAmpPath: true },
+  'techcrunch.com': { stripAmpPath: true },
+  'youtube.com': { onlyParams: ['v', 'list'] },
+  'youtu.be': { onlyParams: [] },
+  'x.com': { onlyParams: [] },
+  'twitter.com': { onlyParams: [] },
+  'news.ycombinator.com': { onlyParams: ['id'] },
+  'medium.com': { stripParams: ['sk', 'gi', 'source', 'source_*'] },
+  'substack.com': { stripParams: ['r', 's', 'triedRedirect', 'publication_id', 'post_id', 'isFreemail'] },
+  'reddit.com': { stripParams: ['share_id', 'rdt'], hostRewrites: [['^(?:old|new|np)\\.', '']] },
+  'wikipedia.org': { hostRewrites: [['\\.m\\.wikipedia\\.org$', '.wikipedia.org']] },
+  'github.com': { keepParams: ['ref'] },
+  'gitlab.com': { keepParams: ['ref'] },
+  'linkedin.com': { onlyParams: [] },
+};
+
+export function normalizeUrl(rawUrl, userRules = {}) {
   let url;
   try {
     url = new URL(rawUrl);
@@ -17,18 +63,37 @@ export function normalizeUrl(rawUrl) {
     return null;
   }
 
+  // Lowercase hostname
+  url.hostname = url.hostname.toLowerCase();
+
+  const rule = resolveUrlRule(url.hostname.replace(/^www\./, ''), userRules);
+
   // Force https
-  url.protocol = 'https:';
+  if (rule.forceHttps) url.protocol = 'https:';
 
   // Remove www prefix
-  url.hostname = url.hostname.replace(/^www\./, '');
+  if (rule.stripWww) url.hostname = url.hostname.replace(/^www\./, '');
 
-  // Lowercase hostname
-  url.hostname = url.hostname.toLowerCase();
+  // Collapse mobile/AMP hosts onto the main site
+  if (rule.collapseMobileHost && url.hostname.split('.').length > 2) {
+    url.hostname = url.hostname.replace(/^(?:m|mobile|amp)\./, '');
+  }
+
+  for (const [pattern, replacement] of rule.hostRewrites) {
+    url.hostname = url.hostname.replace(pattern, replacement);
+  }
+
+  // Path rewrites (AMP variants first)
+  if (rule.stripAmpPath) {
+    url.pathname = url.pathname.replace(/\/amp\/?$/, '') || '/';
+  }
+  for (const [pattern, replacement] of rule.pathRewrites) {
+    url.pathname = url.pathname.replace(pattern, replacement) || '/';
+  }
 
   // Strip tracking query params
   for (const key of [...url.searchParams.keys()]) {
-    if (TRACKING_PARAMS.has(key) || key.startsWith('utm_')) {
+    if (shouldStripParam(key, rule)) {
       url.searchParams.delete(key);
     }
   }
@@ -45,6 +110,110 @@ export function normalizeUrl(rawUrl) {
   return result;
 }
 
+function shouldStripParam(key, rule) {
+  if (rule.onlyParams) return !rule.onlyParams.includes(key);
+  if (rule.keepParams.includes(key)) return false;
+  if (TRACKING_PARAMS.has(key) || key.startsWith('utm_')) return true;
+  return rule.stripParams.some(param =>
+    param.endsWith('*') ? key.startsWith(param.slice(0, -1)) : key === param
+  );
+}
+
+/**
+ * Merge the default rule with built-in and user rules matching `host`.
+ * Less specific domains apply first; user rules apply after built-ins.
+ * Param lists accumulate, everything else is overridden.
+ */
+function resolveUrlRule(host, userRules) {
+  const rule = {
+    ...DEFAULT_URL_RULE,
+    keepParams: [],
+    stripParams: [],
+    pathRewrites: [],
+    hostRewrites: [],
+  };
+
+  for (const rules of [BUILTIN_URL_RULES, userRules || {}]) {
+    const matching = Object.entries(rules)
+      .filter(([domain]) => host === domain.toLowerCase() || host.endsWith('.' + domain.toLowerCase()))
+      .sort(([a], [b]) => a.length - b.length);
+
+    for (const [, entry] of matching) {
+      if (!entry || typeof entry !== 'object') continue;
+      for (const key of ['forceHttps', 'stripWww', 'collapseMobileHost', 'stripAmpPath']) {
+        if (typeof entry[key] === 'boolean') rule[key] = entry[key];
+      }
+      if (isStringList(entry.keepParams)) rule.keepParams.push(...entry.keepParams);
+      if (isStringList(entry.stripParams)) rule.stripParams.push(...entry.stripParams);
+      if (isStringList(entry.onlyParams)) rule.onlyParams = entry.onlyParams;
+      rule.pathRewrites.push(...compileRewrites(entry.pathRewrites));
+      rule.hostRewrites.push(...compileRewrites(entry.hostRewrites));
+    }
+  }
+
+  return rule;
+}
+
+function compileRewrites(list) {
+  if (!Array.isArray(list)) return [];
+  const compiled = [];
+  for (const pair of list) {
+    if (!Array.isArray(pair) || typeof pair[0] !== 'string' || typeof pair[1] !== 'string') continue;
+    try {
+      compiled.push([new RegExp(pair[0]), pair[1]]);
+    } catch {
+      // Invalid pattern in user config — ignore it
+    }
+  }
+  return compiled;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string');
+}
+
+/**
+ * Normalize the URLs known for one article (in priority order) into a
+ * primary URL plus distinct aliases. Invalid and private URLs are dropped.
+ */
+export function resolveUrlAliases(candidates, userRules = {}) {
+  const urls = [];
+  for (const candidate of candidates) {
+    if (!candidate || !isValidUrl(candidate)) continue;
+    const normalized = normalizeUrl(candidate, userRules);
+    if (normalized && !urls.includes(normalized)) urls.push(normalized);
+  }
+  return { url: urls[0] || null, aliases: urls.slice(1) };
+}
+
+/**
+ * Whether a URL the page claims for itself (`<link rel="canonical">`,
+ * `og:url`) can stand for `pageUrl`. Many sites point every article at
+ * their homepage, and a page can name any site it likes, so the site root
+ * and other registrable domains are not trusted.
+ */
+export function isOwnPageUrl(claimed, pageUrl) {
+  let claim, page;
+  try {
+    claim = new URL(claimed);
+    page = new URL(pageUrl);
+  } catch {
+    return false;
+  }
+  if (/^\/*$/.test(claim.pathname) && !claim.search) return false;
+  return registrableDomain(claim.hostname) === registrableDomain(page.hostname);
+}
+
+/**
+ * The domain a site registered: the last two labels, or three under
+ * country-code second levels like co.uk and com.au.
+ */
+function registrableDomain(hostname) {
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+  const size = labels.length > 2 && labels.at(-1).length === 2 && labels.at(-2).length <= 3 ? 3 : 2;
+  return labels.slice(-size).join('.');
+}
+
 const BLOCKED_HOSTNAMES = new Set([
   'localhost', '0.0.0.0', '[::1]', '[::0]',
 ]);
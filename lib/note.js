@@ -0,0 +1,155 @@
+/**
+ * Note layout and the merge used whenever clawsidian rewrites a note.
+ *
+ * The body has a machine-owned region between the start and end markers;
+ * anything above or below it belongs to the user. In the frontmatter,
+ * clawsidian owns the fields it writes (MACHINE_FIELDS) except the
+ * user-owned ones (USER_FIELDS, plus any configured), and every field it
+ * doesn't know about is the user's.
+ *
+ *   ---
+ *   url: ...
+ *   ---
+ *
+ *   %% clawsidian:start %%
+ *   # Title
+ *   ...
+ *   %% clawsidian:end — ... %%
+ *   Your notes
+ */
+
+import { parseFrontmatter, stringifyFrontmatter } from './frontmatter.js';
+
+// Obsidian comments, so they only show up in the editor
+export const START_MARKER = '%% clawsidian:start %%';
+export const END_MARKER = '%% clawsidian:end — write your notes outside these markers; they are kept when the article is refreshed %%';
+
+const START_PATTERN = /^%%\s*clawsidian:start\b.*%%[ \t]*$/m;
+const END_PATTERN = /^%%\s*clawsidian:end\b.*%%[ \t]*$/m;
+
+export const MACHINE_FIELDS = [
+  'url', 'url_aliases', 'saved', 'updated', 'title', 'source', 'author', 'authors', 'published', 'modified',
+  'language', 'image', 'word_count', 'tags', 'status', 'format', 'warning', 'content_hash',
+];
+
+// Written once by clawsidian, then left to the user
+export const USER_FIELDS = ['saved', 'tags'];
+
+// Lists users add to in Obsidian; refresh adds new entries to them
+const LIST_FIELDS = ['aliases', 'cssclasses'];
+
+/**
+ * Split a note body into the user region before the machine region, the
+ * machine region itself and the user region after it. Bodies without
+ * markers are treated as entirely machine-owned (`delimited: false`).
+ */
+export function splitRegions(body) {
+  const end = body.match(END_PATTERN);
+  if (!end) return { before: '', machine: body, after: '', delimited: false };
+
+  const start = body.slice(0, end.index).match(START_PATTERN);
+  const machineStart = start ? start.index + start[0].length : 0;
+  return {
+    // The blank line after the frontmatter isn't part of the user's text
+    before: start ? body.slice(0, start.index).replace(/^\s*\n/, '') : '',
+    machine: body.slice(machineStart, end.index).replace(/^\r?\n/, ''),
+    after: body.slice(end.index + end[0].length).replace(/^\r?\n/, ''),
+    delimited: true,
+  };
+}
+
+/**
+ * Wrap a machine-generated body in the region markers, keeping any user
+ * regions around it.
+ */
+export function renderBody(machine, { before = '', after = '' } = {}) {
+  return `${before}${START_MARKER}\n${machine.trim()}\n\n${END_MARKER}\n${after}`;
+}
+
+/**
+ * Full content of a new note.
+ */
+export function renderNote(frontmatter, machine) {
+  return `${stringifyFrontmatter(frontmatter)}\n\n${renderBody(machine)}`;
+}
+
+/**
+ * Rewrite an existing note with freshly generated frontmatter and body,
+ * keeping the user's regions and fields. Returns the new file content.
+ */
+export function mergeNote(existing, frontmatter, machine, options = {}) {
+  const { data, body } = parseFrontmatter(existing);
+  const { before, after } = splitRegions(body);
+  return `${stringifyFrontmatter(mergeFrontmatter(data, frontmatter, options))}\n\n${renderBody(machine, { before, after })}`;
+}
+
+/**
+ * Merge regenerated frontmatter over the existing fields. Machine fields
+ * (the built-in ones and whatever the note template writes) come from
+ * `fresh`, and are dropped when it no longer has them; user fields and
+ * unknown fields keep their existing values. Tags still set to the
+ * 'untagged' placeholder are replaced, as they are with `replaceTags`.
+ * LIST_FIELDS keep the existing entries, followed by any new ones.
+ */
+export function mergeFrontmatter(existing, fresh, { userFields = [], replaceTags = false } = {}) {
+  const owned = new Set([...USER_FIELDS, ...userFields]);
+  const merged = { ...fresh };
+  for (const [key, value] of Object.entries(existing || {})) {
+    if (key === 'tags' && (replaceTags || isPlaceholderTags(value))) continue;
+    if (LIST_FIELDS.includes(key) && !owned.has(key) && key in fresh) {
+      merged[key] = unionList(value, fresh[key]);
+    } else if (owned.has(key) || !(key in fresh || MACHINE_FIELDS.includes(key))) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+// Obsidian also accepts a single string where a list is expected
+function unionList(existing, fresh) {
+  const list = [existing, fresh].flatMap(value => (Array.isArray(value) ? value : value == null ? [] : [value]));
+  return [...new Set(list)];
+}
+
+/**
+ * Tags that were never really set: missing, empty or the 'untagged' placeholder.
+ */
+export function isPlaceholderTags(tags) {
+  return !Array.isArray(tags) || tags.length === 0 || (tags.length === 1 && tags[0] === 'untagged');
+}
+
+/**
+ * Add `line` to the end of the section under `heading` (e.g. "## Articles"),
+ * after its last non-blank line. The section ends at the next heading of the
+ * same or a higher level. A missing heading is added at the end of the text.
+ */
+export function appendToSection(text, heading, line) {
+  const lines = text.split('\n');
+  const start = lines.findIndex(l => l.trim() === heading.trim());
+  if (start === -1) {
+    return `${text.trimEnd()}${text.trim() ? '\n\n' : ''}${heading}\n\n${line}\n`;
+  }
+
+  let end = sectionEnd(lines, start);
+  while (end > start + 1 && lines[end - 1].trim() === '') end--;
+  // Keep a blank line between the heading and the first entry
+  const insert = end === start + 1 ? ['', line] : [line];
+  const result = [...lines.slice(0, end), ...insert, ...lines.slice(end)];
+  if (result[result.length - 1] !== '') result.push('');
+  return result.join('\n');
+}
+
+/**
+ * The lines of the section under `heading`, without the heading itself.
+ */
+export function sectionLines(text, heading) {
+  const lines = text.split('\n');
+  const start = lines.findIndex(l => l.trim() === heading.trim());
+  return start === -1 ? [] : lines.slice(start + 1, sectionEnd(lines, start));
+}
+
+function sectionEnd(lines, start) {
+  const level = lines[start].match(/^\s*(#*)/)[1].length || 6;
+  const next = lines.findIndex((l, i) => i > start && /^#{1,6}\s/.test(l) && l.match(/^#*/)[0].length <= level);
+  return next === -1 ? lines.length : next;
+}
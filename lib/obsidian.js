@@ -0,0 +1,47 @@
+/**
+ * Obsidian vault settings that Obsidian mode keeps in step with the notes
+ * clawsidian writes.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { atomicWrite } from './atomic.js';
+
+// aliases, tags and cssclasses already have built-in types
+const PROPERTY_TYPES = {
+  saved: 'date',
+  updated: 'date',
+  published: 'date',
+  modified: 'date',
+  word_count: 'number',
+  authors: 'multitext',
+  url_aliases: 'multitext',
+};
+
+/**
+ * Register types for clawsidian's properties in .obsidian/types.json, so the
+ * Properties UI shows dates as dates and counts as numbers. Properties the
+ * user already typed are left alone, as are vaults without an .obsidian
+ * folder and types files we can't parse. Returns true when the file changed.
+ */
+export async function registerPropertyTypes(vaultPath) {
+  const dir = join(vaultPath, '.obsidian');
+  if (!existsSync(dir)) return false;
+
+  const path = join(dir, 'types.json');
+  let data = {};
+  try {
+    data = JSON.parse(await readFile(path, 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') return false;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return false;
+
+  const types = data.types && typeof data.types === 'object' ? data.types : {};
+  const missing = Object.entries(PROPERTY_TYPES).filter(([key]) => !(key in types));
+  if (missing.length === 0) return false;
+
+  await atomicWrite(path, JSON.stringify({ ...data, types: { ...types, ...Object.fromEntries(missing) } }, null, 2));
+  return true;
+}
@@ -0,0 +1,190 @@
+/**
+ * Extract text and document metadata from PDF articles using pdf.js.
+ * Produces the same result shape as extractArticle() in fetcher.js so the
+ * rest of the save pipeline doesn't care where the content came from.
+ */
+
+export const MAX_PDF_BYTES = 25 * 1024 * 1024; // 25 MB
+const MAX_PAGES = 300;
+
+export function isPdf(buffer) {
+  return buffer.length >= 5 && buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+export async function extractPdf(buffer, finalUrl, { status } = {}) {
+  // pdf.js is large; only load it when a PDF actually shows up
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+  let doc;
+  try {
+    doc = await getDocument({
+      data: new Uint8Array(buffer),
+      verbosity: 0,
+      isEvalSupported: false,
+      disableFontFace: true,
+      useSystemFonts: false,
+    }).promise;
+  } catch (err) {
+    return { success: false, status, error: `Could not read PDF: ${err.message}` };
+  }
+
+  try {
+    const info = (await doc.getMetadata().catch(() => null))?.info || {};
+
+    const pages = [];
+    for (let n = 1; n <= Math.min(doc.numPages, MAX_PAGES); n++) {
+      const page = await doc.getPage(n);
+      const text = await page.getTextContent();
+      pages.push(groupLines(text.items));
+      page.cleanup();
+    }
+
+    const lines = pages.flat();
+    const bodySize = median(lines.map(l => l.size)) || 1;
+    const largest = pages[0]?.reduce((max, l) => (l.size > (max?.size || 0) ? l : max), null);
+
+    const title = usableTitle(info.Title)
+      || (largest && largest.size > bodySize ? largest.text : null)
+      || null;
+    const author = typeof info.Author === 'string' && info.Author.trim() ? info.Author.trim() : null;
+    const published = parsePdfDate(info.CreationDate);
+
+    const content = pages
+      .map(page => toMarkdown(page, bodySize, title))
+      .filter(Boolean)
+      .join('\n\n');
+
+    if (content.trim().length < 50) {
+      return {
+        success: false,
+        status,
+        error: 'No text could be extracted from PDF (scanned document?)',
+      };
+    }
+
+    return {
+      success: true,
+      finalUrl,
+      status,
+      format: 'pdf',
+      article: {
+        title,
+        byline: author,
+        content,
+        excerpt: null,
+        length: content.length,
+      },
+      meta: {
+        ogTitle: null,
+        ogAuthor: author,
+        ogPublished: published,
+        ogSiteName: null,
+        h1: null,
+        titleTag: title,
+        timeDatetime: null,
+      },
+    };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/**
+ * Turn pdf.js text items into lines of { text, y, size }.
+ */
+function groupLines(items) {
+  const lines = [];
+  let current = null;
+
+  for (const item of items) {
+    if (typeof item.str !== 'string') continue;
+    const y = item.transform[5];
+    const size = item.height || Math.abs(item.transform[3]) || 0;
+
+    if (!current || Math.abs(current.y - y) > Math.max(size, current.size) * 0.5) {
+      if (current?.text.trim()) lines.push(current);
+      current = { text: '', y, size: 0 };
+    }
+    current.text += item.str;
+    if (item.str.trim()) current.size = Math.max(current.size, size);
+    if (item.hasEOL) {
+      if (current.text.trim()) lines.push(current);
+      current = null;
+    }
+  }
+  if (current?.text.trim()) lines.push(current);
+
+  return lines.map(l => ({ ...l, text: l.text.replace(/\s+/g, ' ').trim() }));
+}
+
+/**
+ * Join lines into paragraphs using vertical gaps, and promote lines set in
+ * a noticeably larger font to headings.
+ */
+function toMarkdown(lines, bodySize, title) {
+  const gaps = [];
+  for (let i = 1; i < lines.length; i++) {
+    const gap = lines[i - 1].y - lines[i].y;
+    if (gap > 0) gaps.push(gap);
+  }
+  const lineGap = median(gaps) || bodySize * 1.2;
+
+  const blocks = [];
+  let paragraph = '';
+  const flush = () => {
+    if (paragraph) blocks.push(paragraph);
+    paragraph = '';
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const isHeading = line.size >= bodySize * 1.3 && line.text.length < 120;
+
+    if (isHeading) {
+      flush();
+      if (line.text !== title) blocks.push(`## ${line.text}`);
+      continue;
+    }
+
+    const gap = i > 0 ? lines[i - 1].y - line.y : 0;
+    if (paragraph && (gap > lineGap * 1.4 || gap < 0)) flush();
+
+    if (!paragraph) {
+      paragraph = line.text;
+    } else if (/\p{L}-$/u.test(paragraph) && /^\p{Ll}/u.test(line.text)) {
+      // Re-join words hyphenated across lines
+      paragraph = paragraph.slice(0, -1) + line.text;
+    } else {
+      paragraph += ' ' + line.text;
+    }
+  }
+  flush();
+
+  return blocks.join('\n\n');
+}
+
+function usableTitle(raw) {
+  if (typeof raw !== 'string') return null;
+  const title = raw.trim();
+  // Authoring tools often leave filenames or placeholders here
+  if (!title || title.length < 4) return null;
+  if (/^(untitled|microsoft word|document\d*)\b/i.test(title)) return null;
+  if (/\.(docx?|tex|dvi|pdf|indd|pptx?)$/i.test(title)) return null;
+  return title;
+}
+
+/**
+ * PDF dates look like D:20170612120000Z or D:20170612120000+02'00'.
+ */
+function parsePdfDate(raw) {
+  if (typeof raw !== 'string') return null;
+  const m = raw.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?/);
+  if (!m) return null;
+  return `${m[1]}-${m[2] || '01'}-${m[3] || '01'}`;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
@@ -0,0 +1,97 @@
+/**
+ * Worker pool with per-key concurrency limits.
+ * Used to process the queue in parallel without hammering a single domain.
+ */
+
+/**
+ * Run `worker(item, ctx)` over `items` with at most `concurrency` tasks in
+ * flight and at most `perKey` tasks sharing the same `keyOf(item)`.
+ *
+ * `ctx.pause(ms)` stops new tasks for the current key from starting until
+ * `ms` has elapsed (e.g. a Retry-After). Pauses longer than `maxPauseMs`
+ * skip the key's remaining tasks instead of stalling the whole run.
+ *
+ * Resolves to results in input order; skipped items have no result (undefined).
+ */
+export function runPool(items, worker, {
+  concurrency = 1,
+  perKey = 1,
+  keyOf = () => '',
+  maxPauseMs = 60_000,
+} = {}) {
+  return new Promise((resolve, reject) => {
+    const results = new Array(items.length);
+    const pending = items.map((item, index) => ({ item, index, key: keyOf(item) }));
+    const active = new Map();
+    const pausedUntil = new Map();
+    const skippedKeys = new Set();
+    let running = 0;
+    let timer = null;
+    let failed = false;
+
+    const pause = (key, ms) => {
+      if (!(ms > 0)) return;
+      if (ms > maxPauseMs) {
+        skippedKeys.add(key);
+        return;
+      }
+      pausedUntil.set(key, Math.max(pausedUntil.get(key) || 0, Date.now() + ms));
+    };
+
+    const start = (task) => {
+      running++;
+      active.set(task.key, (active.get(task.key) || 0) + 1);
+      Promise.resolve()
+        .then(() => worker(task.item, { pause: ms => pause(task.key, ms) }))
+        .then(result => {
+          results[task.index] = result;
+        })
+        .catch(err => {
+          failed = true;
+          reject(err);
+        })
+        .finally(() => {
+          running--;
+          active.set(task.key, active.get(task.key) - 1);
+          if (!failed) schedule();
+        });
+    };
+
+    const schedule = () => {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+
+      const now = Date.now();
+      let wakeAt = Infinity;
+      for (let i = 0; i < pending.length && running < concurrency;) {
+        const task = pending[i];
+        if (skippedKeys.has(task.key)) {
+          pending.splice(i, 1);
+          continue;
+        }
+        const until = pausedUntil.get(task.key) || 0;
+        if (until > now) {
+          wakeAt = Math.min(wakeAt, until);
+          i++;
+          continue;
+        }
+        if ((active.get(task.key) || 0) >= perKey) {
+          i++;
+          continue;
+        }
+        pending.splice(i, 1);
+        start(task);
+      }
+
+      if (pending.length === 0 && running === 0) {
+        resolve(results);
+      } else if (wakeAt !== Infinity && running < concurrency) {
+        timer = setTimeout(schedule, wakeAt - now);
+      }
+    };
+
+    schedule();
+  });
+}
@@ -1,32 +1,41 @@
 /**
  * File-based queue for deferred article saving.
  * Atomic writes via temp file + rename to prevent corruption.
+ *
+ * Failed items carry their attempt history and are retried with exponential
+ * backoff. Permanent failures and items that hit the attempt cap move to a
+ * separate dead-letter list.
+ *
+ * Both lists live in `dataDir`, the notes root folder (Articles/ by default).
  */
 
-import { readFile, writeFile, rename, unlink } from 'node:fs/promises';
+import { readFile, unlink } from 'node:fs/promises';
 import { join } from 'node:path';
-import { randomUUID } from 'node:crypto';
+import { atomicWrite } from './atomic.js';
+import { normalizeUrl } from './normalize.js';
 
-export function queuePath(vaultPath) {
-  return join(vaultPath, 'Articles', '.queue.json');
+const BACKOFF_BASE_MS = 5 * 60 * 1000;        // 5 minutes after the first failure
+const BACKOFF_MAX_MS = 24 * 60 * 60 * 1000;   // never wait more than a day
+export const DEFAULT_MAX_ATTEMPTS = 5;
+
+export function queuePath(dataDir) {
+  return join(dataDir, '.queue.json');
 }
 
-export async function readQueue(vaultPath) {
-  const path = queuePath(vaultPath);
-  try {
-    const data = await readFile(path, 'utf-8');
-    const parsed = JSON.parse(data);
-    if (!Array.isArray(parsed)) return [];
-    return parsed.filter(item =>
-      item && typeof item === 'object' && typeof item.url === 'string'
-    );
-  } catch {
-    return [];
-  }
+export function deadLetterPath(dataDir) {
+  return join(dataDir, '.queue-dead.json');
+}
+
+export async function readQueue(dataDir) {
+  return readList(queuePath(dataDir));
+}
+
+export async function readDeadLetter(dataDir) {
+  return readList(deadLetterPath(dataDir));
 }
 
-export async function addToQueue(vaultPath, url) {
-  const queue = await readQueue(vaultPath);
+export async function addToQueue(dataDir, url) {
+  const queue = await readQueue(dataDir);
   // Avoid duplicate queue entries
   if (queue.some(item => item.url === url)) {
     return { added: false, reason: 'Already in queue' };
@@ -35,29 +44,139 @@ export async function addToQueue(vaultPath, url) {
     url,
     added: new Date().toISOString(),
   });
-  await atomicWrite(queuePath(vaultPath), JSON.stringify(queue, null, 2));
+  await atomicWrite(queuePath(dataDir), JSON.stringify(queue, null, 2));
+
+  // Re-queueing a dead URL gives it a fresh start
+  const dead = await readDeadLetter(dataDir);
+  const remaining = dead.filter(item => item.url !== url);
+  if (remaining.length !== dead.length) await writeDeadLetter(dataDir, remaining);
+
   return { added: true };
 }
 
-export async function writeQueue(vaultPath, items) {
+/**
+ * Remove a URL from the queue and the dead-letter list. Matches either the
+ * exact queued string or its normalized form, so tracking params don't have
+ * to be retyped. `urlRules` are the user's per-domain normalization rules.
+ */
+export async function removeFromQueue(dataDir, url, { urlRules } = {}) {
+  const target = normalizeUrl(url, urlRules);
+  const matches = item => item.url === url || (target && normalizeUrl(item.url, urlRules) === target);
+
+  const queue = await readQueue(dataDir);
+  const dead = await readDeadLetter(dataDir);
+  const count = queue.filter(matches).length + dead.filter(matches).length;
+  if (count === 0) {
+    return { removed: false, reason: 'Not in queue' };
+  }
+
+  await writeQueue(dataDir, queue.filter(item => !matches(item)));
+  await writeDeadLetter(dataDir, dead.filter(item => !matches(item)));
+  return { removed: true, count };
+}
+
+export async function writeQueue(dataDir, items) {
+  await writeList(queuePath(dataDir), items);
+}
+
+export async function writeDeadLetter(dataDir, items) {
+  await writeList(deadLetterPath(dataDir), items);
+}
+
+export async function clearQueue(dataDir) {
+  await removeFile(queuePath(dataDir));
+}
+
+export async function clearDeadLetter(dataDir) {
+  await removeFile(deadLetterPath(dataDir));
+}
+
+/**
+ * Move the queue and dead-letter list from an earlier notes root (after
+ * `folder` changed) into `dataDir`. Items already in `dataDir` win over
+ * older copies of the same URL. Returns the number of items moved.
+ */
+export async function migrateQueue(fromDir, dataDir) {
+  let moved = 0;
+  for (const path of [queuePath, deadLetterPath]) {
+    const old = await readList(path(fromDir));
+    if (old.length === 0) continue;
+    const current = await readList(path(dataDir));
+    const known = new Set(current.map(item => item.url));
+    const added = old.filter(item => !known.has(item.url));
+    await writeList(path(dataDir), [...current, ...added]);
+    await removeFile(path(fromDir));
+    moved += added.length;
+  }
+  return moved;
+}
+
+/**
+ * True when an item's backoff has elapsed (or it has never failed).
+ */
+export function isEligible(item, now = Date.now()) {
+  if (!item.nextAttempt) return true;
+  const next = Date.parse(item.nextAttempt);
+  return isNaN(next) || next <= now;
+}
+
+/**
+ * Record a failed attempt on a queue item.
+ * Returns { item, dead } — `dead` means the item belongs on the dead-letter
+ * list, either because the failure is permanent or attempts ran out.
+ * `retryAfterMs` (from a 429/503 Retry-After header) extends the backoff.
+ */
+export function recordFailure(item, { error, status, permanent = false, retryAfterMs = 0 }, {
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  now = Date.now(),
+} = {}) {
+  const attempts = (item.attempts || 0) + 1;
+  const updated = {
+    ...item,
+    attempts,
+    lastError: error || 'Unknown error',
+    lastStatus: status ?? null,
+    lastAttempt: new Date(now).toISOString(),
+  };
+  delete updated.nextAttempt;
+
+  if (permanent || attempts >= maxAttempts) {
+    updated.deadReason = permanent ? 'permanent' : 'max-attempts';
+    return { item: updated, dead: true };
+  }
+
+  // A server's Retry-After wins when it asks for a longer wait than our backoff
+  const backoff = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  const delay = Math.max(backoff, retryAfterMs || 0);
+  updated.nextAttempt = new Date(now + delay).toISOString();
+  return { item: updated, dead: false };
+}
+
+async function readList(path) {
+  try {
+    const data = await readFile(path, 'utf-8');
+    const parsed = JSON.parse(data);
+    if (!Array.isArray(parsed)) return [];
+    return parsed.filter(item =>
+      item && typeof item === 'object' && typeof item.url === 'string'
+    );
+  } catch {
+    return [];
+  }
+}
+
+async function writeList(path, items) {
   if (items.length === 0) {
-    await clearQueue(vaultPath);
+    await removeFile(path);
   } else {
-    await atomicWrite(queuePath(vaultPath), JSON.stringify(items, null, 2));
+    await atomicWrite(path, JSON.stringify(items, null, 2));
   }
 }
 
-export async function clearQueue(vaultPath) {
-  const path = queuePath(vaultPath);
+async function removeFile(path) {
   try {
     await unlink(path);
   } catch {
     // File didn't exist, that's fine
   }
 }
-
-async function atomicWrite(filepath, data) {
-  const tmpPath = filepath + '.' + randomUUID().slice(0, 8) + '.tmp';
-  await writeFile(tmpPath, data, 'utf-8');
-  await rename(tmpPath, filepath);
-}
@@ -0,0 +1,171 @@
+/**
+ * Per-site extraction rules applied before Readability runs.
+ * User rules live at ~/.config/clawsidian/rules.json and are merged over
+ * the built-in rules below.
+ *
+ * Rules file format — keys are domains (matching subdomains too), or "*"
+ * for every site:
+ *
+ *   {
+ *     "example.com": {
+ *       "keep": ["article .post-body"],
+ *       "strip": [".newsletter-signup", ".related-posts"],
+ *       "title": "h1.headline",
+ *       "author": ".byline a",
+ *       "published": "time.published"
+ *     }
+ *   }
+ */
+
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { CONFIG_DIR } from './config.js';
+
+export const RULES_PATH = join(CONFIG_DIR, 'rules.json');
+
+const BUILTIN_RULES = {
+  '*': {
+    strip: [
+      '#onetrust-consent-sdk', '#CybotCookiebotDialog', '.cc-window',
+      '[id*="cookie-banner"]', '[class*="cookie-banner"]', '[id*="cookie-consent"]', '[class*="cookie-consent"]',
+      '[aria-label="Newsletter signup"]',
+    ],
+  },
+  'substack.com': {
+    strip: ['.subscription-widget-wrap', '.subscribe-widget', '.post-footer', '.share-dialog', '.footer-wrap'],
+  },
+  'medium.com': {
+    strip: ['.pw-responses', '[data-testid="headerClapButton"]', '[aria-label="responses"]'],
+  },
+  'nytimes.com': {
+    strip: ['#gateway-content', '[data-testid="inline-message"]', '#bottom-sheet-sensor', '[data-testid="recirc-unit"]'],
+  },
+  'theguardian.com': {
+    strip: ['[data-component="reader-revenue"]', '#sign-in-gate', '[data-link-name="related content"]'],
+  },
+  'wikipedia.org': {
+    strip: ['.mw-editsection', '.navbox', '.metadata', '#toc', '.reference'],
+  },
+  'github.com': {
+    keep: ['article.markdown-body'],
+  },
+};
+
+const SELECTOR_FIELDS = ['title', 'author', 'published'];
+
+/**
+ * Load user rules from the config dir. Malformed files and entries are
+ * ignored so a bad rules file never blocks saving.
+ */
+export async function loadRules(path = RULES_PATH) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await readFile(path, 'utf-8'));
+  } catch {
+    return {};
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {};
+
+  const rules = {};
+  for (const [pattern, rule] of Object.entries(parsed)) {
+    if (!rule || typeof rule !== 'object') continue;
+    const clean = {};
+    if (isStringList(rule.keep)) clean.keep = rule.keep;
+    if (isStringList(rule.strip)) clean.strip = rule.strip;
+    for (const field of SELECTOR_FIELDS) {
+      if (typeof rule[field] === 'string') clean[field] = rule[field];
+    }
+    rules[pattern.toLowerCase()] = clean;
+  }
+  return rules;
+}
+
+/**
+ * Combine every rule that applies to `domain`, built-ins first, then user
+ * rules; generic "*" rules before domain-specific ones. Strip lists
+ * accumulate, while `keep` and selector overrides from later rules win.
+ */
+export function resolveRules(domain, userRules = {}) {
+  const merged = { keep: null, strip: [], title: null, author: null, published: null };
+  if (!domain) return merged;
+
+  for (const rules of [BUILTIN_RULES, userRules]) {
+    const matching = Object.entries(rules)
+      .filter(([pattern]) => matchesDomain(domain, pattern))
+      .sort(([a], [b]) => (a === '*' ? 0 : a.length) - (b === '*' ? 0 : b.length));
+    for (const [, rule] of matching) {
+      if (rule.strip) merged.strip.push(...rule.strip);
+      if (rule.keep) merged.keep = rule.keep;
+      for (const field of SELECTOR_FIELDS) {
+        if (rule[field]) merged[field] = rule[field];
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Read title/author/published overrides from the untouched document.
+ */
+export function readOverrides(doc, rule) {
+  return {
+    title: textOf(doc, rule.title),
+    author: textOf(doc, rule.author),
+    published: dateOf(doc, rule.published),
+  };
+}
+
+/**
+ * Strip unwanted elements and, if `keep` selectors match, reduce the body
+ * to just those elements. Mutates `doc`.
+ */
+export function applyRules(doc, rule) {
+  for (const selector of rule.strip) {
+    for (const el of queryAll(doc, selector)) el.remove();
+  }
+
+  if (rule.keep?.length) {
+    const kept = rule.keep.flatMap(selector => queryAll(doc, selector));
+    // Drop nested matches so content isn't duplicated
+    const roots = kept.filter(el => !kept.some(other => other !== el && other.contains(el)));
+    if (roots.length > 0) {
+      const body = doc.body;
+      const clones = roots.map(el => el.cloneNode(true));
+      body.replaceChildren(...clones);
+    }
+  }
+}
+
+function matchesDomain(domain, pattern) {
+  if (pattern === '*') return true;
+  const bare = pattern.replace(/^\*\./, '');
+  return domain === bare || domain.endsWith('.' + bare);
+}
+
+function queryAll(doc, selector) {
+  try {
+    return [...doc.querySelectorAll(selector)];
+  } catch {
+    // Invalid selector in a rules file
+    return [];
+  }
+}
+
+function textOf(doc, selector) {
+  if (!selector) return null;
+  const el = queryAll(doc, selector)[0];
+  if (!el) return null;
+  const text = (el.getAttribute('content') || el.textContent || '').replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+function dateOf(doc, selector) {
+  if (!selector) return null;
+  const el = queryAll(doc, selector)[0];
+  if (!el) return null;
+  return el.getAttribute('datetime') || el.getAttribute('content') || el.textContent?.trim() || null;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string');
+}
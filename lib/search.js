@@ -0,0 +1,188 @@
+/**
+ * Full-text search over saved articles.
+ * Ranks notes with BM25, weighting title/tags/summary above the body.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseFrontmatter } from './frontmatter.js';
+import { listNotes } from './urlindex.js';
+
+// BM25 tuning constants (standard defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// How much a term occurrence in each field counts toward its frequency
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2.5,
+  summary: 2,
+  source: 1.5,
+  author: 1.5,
+  body: 1,
+};
+
+const SNIPPET_LENGTH = 160;
+
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text).toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+}
+
+/**
+ * Search the notes under `root` (Articles/ by default) for `query`,
+ * optionally filtered by tag, source and saved date. An empty query returns
+ * every note that passes the filters, newest first.
+ */
+export async function searchArticles(vaultPath, query, { tag, source, since, limit = 20, root } = {}) {
+  const docs = await loadArticles(vaultPath, root);
+  const filtered = docs.filter(doc => matchesFilters(doc, { tag, source, since }));
+  const terms = [...new Set(tokenize(query))];
+
+  if (terms.length === 0) {
+    return filtered
+      .sort((a, b) => String(b.saved || '').localeCompare(String(a.saved || '')))
+      .slice(0, limit)
+      .map(doc => toResult(doc, null, []));
+  }
+
+  // Corpus statistics come from the filtered set so scores stay comparable
+  const avgLength = filtered.reduce((sum, doc) => sum + doc.length, 0) / (filtered.length || 1);
+  const docFreq = new Map();
+  for (const term of terms) {
+    docFreq.set(term, filtered.filter(doc => doc.freqs.has(term)).length);
+  }
+
+  const scored = [];
+  for (const doc of filtered) {
+    let score = 0;
+    for (const term of terms) {
+      const tf = doc.freqs.get(term);
+      if (!tf) continue;
+      const df = docFreq.get(term);
+      const idf = Math.log(1 + (filtered.length - df + 0.5) / (df + 0.5));
+      score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / (avgLength || 1)));
+    }
+    if (score > 0) scored.push({ doc, score });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ doc, score }) => toResult(doc, score, terms));
+}
+
+async function loadArticles(vaultPath, root) {
+  const docs = [];
+  for (const file of await listNotes(vaultPath, root)) {
+    let content;
+    try {
+      content = await readFile(join(vaultPath, file), 'utf-8');
+    } catch {
+      continue;
+    }
+    const { data, body } = parseFrontmatter(content);
+    // Obsidian %% comments %% (like the notes marker) aren't part of the text
+    docs.push(buildDoc(file, data || {}, body.replace(/%%[\s\S]*?%%/g, '')));
+  }
+  return docs;
+}
+
+function buildDoc(file, data, body) {
+  const tags = Array.isArray(data.tags) ? data.tags.map(String) : [];
+  const summary = extractSummary(body);
+  const source = plainText(data.source);
+  const author = plainText(data.author ?? data.authors);
+  const fields = {
+    title: data.title,
+    tags: tags.join(' '),
+    summary,
+    source,
+    author,
+    body,
+  };
+
+  const freqs = new Map();
+  let length = 0;
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    for (const token of tokenize(fields[field])) {
+      freqs.set(token, (freqs.get(token) || 0) + weight);
+      length += weight;
+    }
+  }
+
+  return {
+    file,
+    title: data.title != null ? String(data.title) : null,
+    source,
+    author,
+    saved: data.saved != null ? String(data.saved) : null,
+    url: data.url || null,
+    tags,
+    summary,
+    body,
+    freqs,
+    length,
+  };
+}
+
+function extractSummary(body) {
+  // `> **Summary:** ...` or an Obsidian `> [!summary]` callout
+  const match = body.match(/^> \*\*Summary:\*\* (.+)$/m) || body.match(/^> \[!summary\][^\n]*\n> (.+)$/im);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Frontmatter text with wikilinks reduced to their display text, and
+ * lists joined.
+ */
+function plainText(value) {
+  if (value == null) return null;
+  const text = Array.isArray(value) ? value.join(', ') : String(value);
+  return text.replace(/\[\[(?:[^\]|]*\|)?([^\]]*)\]\]/g, '$1');
+}
+
+function matchesFilters(doc, { tag, source, since }) {
+  if (tag) {
+    const wanted = tag.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+    const have = new Set(doc.tags.map(t => t.toLowerCase()));
+    if (!wanted.every(t => have.has(t))) return false;
+  }
+  if (source && !(doc.source || '').toLowerCase().includes(source.toLowerCase())) {
+    return false;
+  }
+  if (since && !(doc.saved && doc.saved >= since)) {
+    return false;
+  }
+  return true;
+}
+
+function toResult(doc, score, terms) {
+  return {
+    file: doc.file,
+    title: doc.title,
+    source: doc.source,
+    author: doc.author || undefined,
+    saved: doc.saved,
+    url: doc.url,
+    tags: doc.tags,
+    score: score === null ? undefined : Math.round(score * 1000) / 1000,
+    snippet: snippet(doc, terms),
+  };
+}
+
+function snippet(doc, terms) {
+  if (doc.summary && terms.length === 0) return truncate(doc.summary);
+
+  const lines = doc.body
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && !line.startsWith('> **Summary:**'));
+
+  const hit = lines.find(line => tokenize(line).some(token => terms.includes(token)));
+  return truncate(hit || doc.summary || lines[0] || '');
+}
+
+function truncate(text) {
+  return text.length > SNIPPET_LENGTH ? text.slice(0, SNIPPET_LENGTH - 1).trimEnd() + '…' : text;
+}
@@ -1,8 +1,15 @@
 /**
- * Generate human-readable filenames from article titles.
+ * Generate human-readable filenames from article titles, and place notes
+ * according to the configured folder and filename patterns.
  */
 
 import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { compileText, renderText } from './template.js';
+import { DEFAULTS } from './config.js';
+
+export const DEFAULT_FOLDER = DEFAULTS.folder;
+export const DEFAULT_FILENAME = DEFAULTS.filename;
 
 export function generateReadableTitle(title) {
   if (!title) return null;
@@ -17,31 +24,66 @@ export function generateReadableTitle(title) {
     .substring(0, 120);               // reasonable max length
 }
 
-export function generateFilename(title, domain, vaultPath) {
-  const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+/**
+ * Compile the configured folder and filename patterns, e.g.
+ * "Clippings/{{source}}/{{year}}" and "{{title}}". The folder's leading
+ * literal part ("Clippings") is the notes root: everything clawsidian saves
+ * goes under it, and it holds the URL index, queue and lock.
+ * Throws on invalid patterns.
+ */
+export function compileLayout({ folder = DEFAULT_FOLDER, filename = DEFAULT_FILENAME } = {}) {
+  return {
+    root: notesRoot(folder),
+    folder: compileText(folder),
+    filename: compileText(filename),
+  };
+}
 
-  // Human-readable format: "Title (YYYY-MM-DD).md"
-  let readableTitle = generateReadableTitle(title);
+export function notesRoot(folder = DEFAULT_FOLDER) {
+  const literal = folder.split('{{')[0];
+  // A partial segment like "Clippings-{{year}}" isn't part of the root
+  const complete = folder.includes('{{') ? literal.slice(0, literal.lastIndexOf('/') + 1) : literal;
+  return cleanPath(complete);
+}
 
-  // Fallback to domain if no usable title
-  if (!readableTitle && domain) {
-    readableTitle = domain;
-  }
-  if (!readableTitle) {
-    readableTitle = 'Untitled Article';
+/**
+ * Pick a free path for a new note from the layout patterns. `context` holds
+ * the template variables for the article. Returns { file, filepath } with
+ * `file` relative to the vault.
+ */
+export function generateFilename(context, vaultPath, layout = compileLayout()) {
+  // Values can't introduce folders of their own
+  const clean = value => (typeof value === 'string' ? generateReadableTitle(value) : value);
+  const safe = {};
+  for (const [key, value] of Object.entries(context)) {
+    safe[key] = Array.isArray(value) ? value.map(clean) : clean(value);
   }
+  // Fallback to domain if no usable title
+  safe.title = safe.title || safe.domain || 'Untitled Article';
 
-  let basename = `${readableTitle} (${today})`;
-  let filename = `${basename}.md`;
-  let filepath = `${vaultPath}/Articles/${filename}`;
+  const folder = cleanPath(renderText(layout.folder, safe));
+  const basename = generateReadableTitle(renderText(layout.filename, safe)) || safe.title;
+
+  let file = join(folder, `${basename}.md`);
 
   // Handle collisions by appending -2, -3, etc.
   let counter = 2;
-  while (existsSync(filepath)) {
-    filename = `${basename}-${counter}.md`;
-    filepath = `${vaultPath}/Articles/${filename}`;
+  while (existsSync(join(vaultPath, file))) {
+    file = join(folder, `${basename}-${counter}.md`);
     counter++;
   }
 
-  return { filename, filepath };
+  return { file, filepath: join(vaultPath, file) };
+}
+
+/**
+ * Normalize a vault-relative folder: no empty, "." or ".." segments, and no
+ * leading/trailing dots or spaces that some filesystems reject.
+ */
+function cleanPath(path) {
+  return path
+    .split(/[/\\]+/)
+    .map(segment => segment.trim().replace(/^\.+|\.+$/g, '').trim())
+    .filter(Boolean)
+    .join('/');
 }
@@ -0,0 +1,127 @@
+/**
+ * Read structured metadata embedded in a page: schema.org JSON-LD,
+ * Twitter card tags, Dublin Core meta and the document language.
+ * Runs on the raw DOM before Readability strips scripts and head content.
+ */
+
+const ARTICLE_TYPES = new Set([
+  'Article', 'NewsArticle', 'BlogPosting', 'ScholarlyArticle', 'TechArticle',
+  'Report', 'AnalysisNewsArticle', 'OpinionNewsArticle', 'ReportageNewsArticle',
+  'ReviewNewsArticle', 'SocialMediaPosting', 'LiveBlogPosting',
+]);
+
+export function extractStructured(doc) {
+  return {
+    jsonLd: readJsonLd(doc),
+    twitter: {
+      title: meta(doc, 'twitter:title'),
+      creator: meta(doc, 'twitter:creator'),
+      image: meta(doc, 'twitter:image') || meta(doc, 'twitter:image:src'),
+    },
+    dublinCore: {
+      title: meta(doc, 'DC.title') || meta(doc, 'dcterms.title'),
+      creators: metaAll(doc, 'DC.creator').concat(metaAll(doc, 'dcterms.creator')),
+      date: meta(doc, 'DC.date') || meta(doc, 'dcterms.date') || meta(doc, 'dcterms.issued') || meta(doc, 'citation_publication_date'),
+      modified: meta(doc, 'dcterms.modified') || meta(doc, 'DC.date.modified'),
+      language: meta(doc, 'DC.language') || meta(doc, 'dcterms.language'),
+      publisher: meta(doc, 'DC.publisher') || meta(doc, 'dcterms.publisher'),
+    },
+    og: {
+      modified: meta(doc, 'article:modified_time') || meta(doc, 'og:updated_time'),
+      image: meta(doc, 'og:image') || meta(doc, 'og:image:url'),
+      locale: meta(doc, 'og:locale'),
+    },
+    citationAuthors: metaAll(doc, 'citation_author'),
+    htmlLang: doc.documentElement?.getAttribute('lang')?.trim() || null,
+  };
+}
+
+/**
+ * Find the first article-like JSON-LD node and flatten the fields we use.
+ * Handles top-level arrays, @graph containers and @id references.
+ */
+function readJsonLd(doc) {
+  const nodes = [];
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    let data;
+    try {
+      data = JSON.parse(script.textContent);
+    } catch {
+      continue; // Sites ship broken JSON-LD surprisingly often
+    }
+    collectNodes(data, nodes);
+  }
+
+  const byId = new Map(nodes.filter(n => typeof n['@id'] === 'string').map(n => [n['@id'], n]));
+  const resolve = value => (value && typeof value === 'object' && value['@id'] && byId.has(value['@id']) && Object.keys(value).length === 1
+    ? byId.get(value['@id'])
+    : value);
+
+  const article = nodes.find(node => types(node).some(t => ARTICLE_TYPES.has(t)));
+  if (!article) return null;
+
+  return {
+    headline: text(article.headline) || text(article.name),
+    authors: list(article.author).map(resolve).map(nameOf).filter(Boolean),
+    datePublished: text(article.datePublished),
+    dateModified: text(article.dateModified),
+    publisher: nameOf(resolve(article.publisher)),
+    image: imageUrl(resolve(article.image)),
+    language: text(article.inLanguage) || nameOf(article.inLanguage),
+    wordCount: Number.isFinite(Number(article.wordCount)) ? Number(article.wordCount) : null,
+  };
+}
+
+function collectNodes(data, nodes) {
+  if (Array.isArray(data)) {
+    for (const item of data) collectNodes(item, nodes);
+  } else if (data && typeof data === 'object') {
+    nodes.push(data);
+    if (data['@graph']) collectNodes(data['@graph'], nodes);
+  }
+}
+
+function types(node) {
+  return list(node['@type']).filter(t => typeof t === 'string');
+}
+
+function list(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function text(value) {
+  if (typeof value === 'string') return value.trim() || null;
+  if (Array.isArray(value)) return text(value[0]);
+  return null;
+}
+
+function nameOf(value) {
+  if (typeof value === 'string') return value.trim() || null;
+  if (value && typeof value === 'object') return text(value.name);
+  return null;
+}
+
+function imageUrl(value) {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return imageUrl(value[0]);
+  if (value && typeof value === 'object') return text(value.url) || text(value.contentUrl);
+  return null;
+}
+
+function meta(doc, name) {
+  return metaAll(doc, name)[0] || null;
+}
+
+function metaAll(doc, name) {
+  // Dublin Core names are case-insensitive in practice (DC.title vs dc.title)
+  const wanted = name.toLowerCase();
+  const values = [];
+  for (const el of doc.querySelectorAll('meta[name], meta[property]')) {
+    const key = (el.getAttribute('name') || el.getAttribute('property') || '').toLowerCase();
+    if (key !== wanted) continue;
+    const content = el.getAttribute('content')?.trim();
+    if (content) values.push(content);
+  }
+  return values;
+}
@@ -1,87 +1,146 @@
 /**
- * Summarize article content using any OpenAI-compatible API.
- * API key is resolved by config.js from env vars or OpenClaw config.
+ * Summarize article content with the configured AI provider (see llm.js).
+ *
+ * By default the summary is of the first 6000 characters. In map-reduce
+ * mode (`summaryMode: "map-reduce"`) the whole article is split into
+ * chunks of at most `summaryChunkTokens`, each chunk is summarized, and the
+ * summaries are summarized together, using at most `summaryMaxCalls`
+ * requests per article. When that isn't enough, adjacent chunks are sent
+ * together so no part of the article is left out.
  */
 
-const ALLOWED_API_HOSTS = new Set([
-  'api.openai.com',
-  'generativelanguage.googleapis.com',
-  'openrouter.ai',
-  'api.x.ai',
-  'api.anthropic.com',
-]);
-
-const ALLOWED_API_KEY_ENVS = new Set([
-  'OPENAI_API_KEY',
-  'GEMINI_API_KEY',
-  'OPENROUTER_API_KEY',
-  'XAI_API_KEY',
-  'ANTHROPIC_API_KEY',
-]);
-
-function isAllowedBaseUrl(baseUrl) {
-  try {
-    const url = new URL(baseUrl);
-    return ALLOWED_API_HOSTS.has(url.hostname);
-  } catch {
-    return false;
-  }
-}
+import { complete } from './llm.js';
+
+const TRUNCATE_CHARS = 6000;
+
+// Rough token estimate; close enough for English prose on current models
+const CHARS_PER_TOKEN = 4;
+
+const STYLE = 'Be direct — no filler phrases like "This article discusses" or "The author explains."';
 
 export async function summarizeContent(content, title, config = {}) {
-  const baseUrl = config.openaiBaseUrl || 'https://api.openai.com/v1';
+  if (config.summaryMode === 'map-reduce') return mapReduce(content, title, config);
 
-  if (!isAllowedBaseUrl(baseUrl)) {
-    process.stderr.write(`Warning: Blocked summarization request to untrusted host: ${baseUrl}\n`);
-    return null;
-  }
+  const truncated = content.substring(0, TRUNCATE_CHARS);
+  return complete(summaryPrompt(title, truncated), config, { maxTokens: 200, temperature: 0.3 });
+}
 
-  // Only read from known provider env vars to prevent exfiltration of arbitrary secrets
-  const apiKeyEnv = config.apiKeyEnv && ALLOWED_API_KEY_ENVS.has(config.apiKeyEnv)
-    ? config.apiKeyEnv
-    : null;
+function summaryPrompt(title, content) {
+  return `Summarize this article in 2-3 concise sentences. Focus on the key takeaway and why it matters. ${STYLE}
 
-  const apiKey = config.apiKey
-    || (apiKeyEnv && process.env[apiKeyEnv])
-    || process.env.OPENAI_API_KEY;
-  if (!apiKey) return null;
+Title: ${title}
 
-  const model = config.summaryModel || 'gpt-4.1-nano';
+Content:
+${content}`;
+}
+
+async function mapReduce(content, title, config) {
+  const budget = (config.summaryChunkTokens || 1500) * CHARS_PER_TOKEN;
+  const maxCalls = config.summaryMaxCalls || 8;
+  const chunks = chunkMarkdown(content, budget);
+
+  // Short articles (or no room for a reduce step) take a single request,
+  // with the whole article in it
+  if (chunks.length <= 1 || maxCalls < 3) {
+    if (chunks.length > 1) {
+      process.stderr.write(`Warning: Article needs ${chunks.length} chunks but summaryMaxCalls allows ${maxCalls}; sending it in one request\n`);
+    }
+    return complete(summaryPrompt(title, chunks.join('\n\n')), config, { maxTokens: 200, temperature: 0.3 });
+  }
+
+  // One call is kept for the reduce step. If there are more chunks than
+  // calls, adjacent chunks share a call so the whole article is still read.
+  const groups = group(chunks, maxCalls - 1);
+  if (groups.length < chunks.length) {
+    process.stderr.write(`Warning: Article needs ${chunks.length} chunks but summaryMaxCalls allows ${maxCalls - 1}; sending larger parts\n`);
+  }
+  const parts = [];
+  for (const [i, chunk] of groups.entries()) {
+    const prompt = `This is part ${i + 1} of ${groups.length} of an article titled "${title}". Summarize what this part says in 2-3 sentences, keeping its main claims and any conclusions. ${STYLE}
 
-  const truncated = content.substring(0, 6000);
+${chunk}`;
+    const summary = await complete(prompt, config, { maxTokens: 150, temperature: 0.3 });
+    if (summary) parts.push(summary);
+  }
+  if (parts.length === 0) return null;
 
-  const prompt = `Summarize this article in 2-3 concise sentences. Focus on the key takeaway and why it matters. Be direct — no filler phrases like "This article discusses" or "The author explains."
+  const prompt = `Below are summaries of consecutive parts of an article. Summarize the whole article in 2-3 concise sentences. Focus on the key takeaway and why it matters. ${STYLE}
 
 Title: ${title}
 
-Content:
-${truncated}`;
-
-  try {
-    const res = await fetch(`${baseUrl}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 200,
-        temperature: 0.3,
-      }),
-      signal: AbortSignal.timeout(30_000),
-    });
-
-    if (!res.ok) {
-      process.stderr.write(`Warning: Summarization API returned ${res.status}\n`);
-      return null;
+${parts.map((summary, i) => `Part ${i + 1}: ${summary}`).join('\n\n')}`;
+  return complete(prompt, config, { maxTokens: 200, temperature: 0.3 });
+}
+
+/**
+ * Split markdown into chunks of at most `budget` characters, breaking at
+ * headings where possible, then at paragraphs, then at sentences or words.
+ * Adjacent pieces are packed together up to the budget.
+ */
+function chunkMarkdown(content, budget) {
+  const sections = content.split(/\n(?=#{1,6}\s)/);
+  const pieces = sections.flatMap(section => splitToFit(section, budget, [/\n{2,}/, /(?<=[.!?])\s+/, /\s+/]));
+
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    const text = piece.trim();
+    if (!text) continue;
+    if (current && current.length + text.length + 2 > budget) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${text}` : text;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function splitToFit(text, budget, separators) {
+  if (text.length <= budget) return [text];
+  const [separator, ...rest] = separators;
+  if (!separator) {
+    // A single word longer than the budget
+    const parts = [];
+    for (let i = 0; i < text.length; i += budget) parts.push(text.slice(i, i + budget));
+    return parts;
+  }
+  const joiner = separator.source.startsWith('\\n') ? '\n\n' : ' ';
+  const parts = [];
+  let current = '';
+  for (const part of text.split(separator)) {
+    if (current && current.length + part.length + joiner.length > budget) {
+      parts.push(current);
+      current = '';
     }
+    current = current ? current + joiner + part : part;
+  }
+  if (current) parts.push(current);
+  return parts.flatMap(part => splitToFit(part, budget, rest));
+}
 
-    const data = await res.json();
-    const summary = data.choices?.[0]?.message?.content?.trim();
-    return summary || null;
-  } catch {
-    return null;
+/**
+ * Join adjacent chunks into at most `count` parts of about equal length,
+ * in order.
+ */
+function group(chunks, count) {
+  if (chunks.length <= count) return chunks;
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const groups = [];
+  let current = [];
+  let length = 0;
+  for (const [i, chunk] of chunks.entries()) {
+    current.push(chunk);
+    length += chunk.length;
+    // Close a part once it reaches its share of the text, leaving at least
+    // one chunk for each part still to come
+    const remaining = chunks.length - i - 1;
+    const partsLeft = count - groups.length - 1;
+    if (partsLeft > 0 && remaining >= partsLeft && (length >= total * (groups.length + 1) / count || remaining === partsLeft)) {
+      groups.push(current.join('\n\n'));
+      current = [];
+    }
   }
+  if (current.length > 0) groups.push(current.join('\n\n'));
+  return groups;
 }
@@ -0,0 +1,85 @@
+/**
+ * LLM tagging: ask the configured provider to tag an article from the tags
+ * already used in the vault, so tags stay consistent instead of each
+ * article adding its own words. Only `maxNew` tags outside the vocabulary
+ * are accepted per article.
+ */
+
+import { complete } from './llm.js';
+
+// Most-used tags offered to the model; keeps the prompt a sensible size
+const MAX_VOCABULARY = 300;
+const CONTENT_CHARS = 6000;
+
+/**
+ * Every tag used in saved notes, most used first, without placeholders.
+ * `corpus` is the cached vault statistics from loadCorpus (keywords.js).
+ */
+export function collectTags(corpus) {
+  return [...corpus.tags.entries()]
+    .filter(([tag]) => tag !== 'untagged')
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([tag]) => tag);
+}
+
+/**
+ * Ask the provider for up to `count` tags, chosen from `vocabulary` plus at
+ * most `maxNew` new ones. Returns null when there is no provider or no
+ * usable answer, so the caller can fall back to keywords.
+ */
+export async function suggestTags(content, title, vocabulary, config = {}, { count = 5, maxNew = 2 } = {}) {
+  const offered = vocabulary.slice(0, MAX_VOCABULARY);
+  const newRule = maxNew > 0
+    ? `Prefer tags from the list. Only if nothing in it fits, you may add at most ${maxNew} new ${maxNew === 1 ? 'tag' : 'tags'}: lowercase, words joined by hyphens (e.g. "machine-learning").`
+    : 'Use only tags from the list.';
+
+  const prompt = `Choose up to ${count} tags for this article from the vault's existing tags. ${newRule} Reply with a JSON array of strings and nothing else.
+
+Existing tags: ${offered.length > 0 ? offered.join(', ') : '(none yet)'}
+
+Title: ${title}
+
+Content:
+${content.substring(0, CONTENT_CHARS)}`;
+
+  const reply = await complete(prompt, config, { maxTokens: 100, temperature: 0 });
+  if (!reply) return null;
+
+  let suggested;
+  try {
+    suggested = JSON.parse(reply.match(/\[[\s\S]*\]/)?.[0]);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(suggested)) return null;
+
+  const known = new Set(vocabulary);
+  const tags = [];
+  let added = 0;
+  for (const tag of suggested.map(normalizeTag)) {
+    if (!tag || tags.includes(tag)) continue;
+    if (!known.has(tag)) {
+      if (added >= maxNew) continue;
+      added++;
+    }
+    tags.push(tag);
+    if (tags.length >= count) break;
+  }
+  return tags.length > 0 ? tags : null;
+}
+
+/**
+ * Obsidian tag form: lowercase, no leading #, spaces as hyphens, and only
+ * letters, numbers, `-`, `_` and `/`. Purely numeric tags aren't valid.
+ */
+export function normalizeTag(tag) {
+  if (typeof tag !== 'string') return null;
+  const cleaned = tag
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{N}_/-]/gu, '')
+    .replace(/^[-/]+|[-/]+$/g, '');
+  return cleaned && !/^\d+$/.test(cleaned) ? cleaned : null;
+}
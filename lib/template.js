@@ -0,0 +1,408 @@
+/**
+ * Note templates. A template is a markdown file whose frontmatter and body
+ * are filled in from the saved article:
+ *
+ *   ---
+ *   title: {{title}}
+ *   saved: {{saved | date:"YYYY-MM-DD"}}
+ *   tags: {{tags}}
+ *   ---
+ *   # {{title}}
+ *   {{#if summary}}
+ *   > {{summary}}
+ *   {{/if}}
+ *   {{content}}
+ *
+ * User templates live in ~/.config/clawsidian/templates/<name>.md. A
+ * frontmatter value that is a single {{expression}} keeps its type (lists
+ * stay lists); fields that render empty are left out.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { parse } from 'yaml';
+import { CONFIG_DIR } from './config.js';
+import { hubLink } from './hubs.js';
+
+export const TEMPLATES_DIR = join(CONFIG_DIR, 'templates');
+
+// Matches the note layout clawsidian has always written
+const DEFAULT_SOURCE = `---
+url: {{url}}
+url_aliases: {{url_aliases}}
+saved: {{saved}}
+updated: {{updated}}
+title: {{title | default:"Untitled"}}
+source: {{source | default:"Unknown"}}
+author: {{author}}
+authors: {{authors}}
+published: {{published}}
+modified: {{modified}}
+language: {{language}}
+image: {{image}}
+word_count: {{word_count}}
+tags: {{tags | default:"untagged"}}
+status: {{status}}
+format: {{format}}
+warning: {{warning}}
+content_hash: {{content_hash}}
+---
+# {{title}}
+{{#if summary}}
+
+> **Summary:** {{summary}}
+{{/if}}
+
+{{content}}
+`;
+
+// Obsidian mode: summary callout, linked source and authors, and property
+// types the Properties UI understands (lists for aliases/authors/cssclasses)
+const OBSIDIAN_SOURCE = `---
+url: {{url}}
+url_aliases: {{url_aliases}}
+saved: {{saved}}
+updated: {{updated}}
+title: {{title | default:"Untitled"}}
+aliases: {{aliases}}
+source: {{source_link | default:"Unknown"}}
+authors: {{author_links}}
+published: {{published}}
+modified: {{modified}}
+language: {{language}}
+image: {{image}}
+word_count: {{word_count}}
+tags: {{tags | default:"untagged"}}
+status: {{status}}
+format: {{format}}
+warning: {{warning}}
+content_hash: {{content_hash}}
+cssclasses:
+  - clawsidian
+---
+# {{title}}
+{{#if summary}}
+
+> [!summary]
+> {{summary}}
+{{/if}}
+
+{{content}}
+`;
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const FILTERS = {
+  date: (value, format = 'YYYY-MM-DD') => formatDate(value, format),
+  // Lists stay lists, so `tags | default:"untagged"` is still a YAML list
+  default: (value, fallback = '') => (isEmpty(value) ? (Array.isArray(value) ? [fallback] : fallback) : value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+  first: value => (Array.isArray(value) ? value[0] : value),
+  lower: value => mapText(value, s => s.toLowerCase()),
+  upper: value => mapText(value, s => s.toUpperCase()),
+  trim: value => mapText(value, s => s.trim()),
+  wikilink: (value, folder = '') => mapValue(value, v => (typeof v === 'string' ? hubLink(folder, v) : v)),
+};
+
+const TAG_PATTERN = /\{\{\s*(#if\s[^}]*|else|\/if|[^}]*?)\s*\}\}/g;
+
+export const DEFAULT_TEMPLATE = compileTemplate(DEFAULT_SOURCE);
+export const OBSIDIAN_TEMPLATE = compileTemplate(OBSIDIAN_SOURCE);
+
+const BUILTIN_TEMPLATES = { default: DEFAULT_TEMPLATE, obsidian: OBSIDIAN_TEMPLATE };
+
+/**
+ * Load a template by name (from the templates folder) or by path.
+ * "default" and "obsidian" are built in. Returns { template } or { error }.
+ */
+export async function loadTemplate(name) {
+  if (!name) return { template: DEFAULT_TEMPLATE };
+  if (BUILTIN_TEMPLATES[name]) return { template: BUILTIN_TEMPLATES[name] };
+
+  const path = name.includes('/') || name.endsWith('.md') ? resolve(name) : join(TEMPLATES_DIR, `${name}.md`);
+  let source;
+  try {
+    source = await readFile(path, 'utf-8');
+  } catch {
+    return { error: `Template not found: ${path}` };
+  }
+
+  try {
+    return { template: compileTemplate(source) };
+  } catch (err) {
+    return { error: `Invalid template ${path}: ${err.message}` };
+  }
+}
+
+/**
+ * Pick the template name for a domain: an explicit choice, else the
+ * longest matching domain in the `templates` config, else "*", else
+ * `fallback` (the built-in default).
+ */
+export function selectTemplate(domain, templates, explicit, fallback = 'default') {
+  if (explicit) return explicit;
+  if (!templates) return fallback;
+
+  const match = Object.keys(templates)
+    .filter(pattern => pattern !== '*' && domain && (domain === pattern || domain.endsWith('.' + pattern)))
+    .sort((a, b) => b.length - a.length)[0];
+  return templates[match ?? '*'] || fallback;
+}
+
+/**
+ * Parse template source. Templates without frontmatter get the default
+ * frontmatter. Throws on syntax errors.
+ */
+export function compileTemplate(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/);
+  let frontmatter = null;
+  let body = source;
+
+  if (match) {
+    const data = parse(quoteExpressions(match[1]));
+    if (data && (typeof data !== 'object' || Array.isArray(data))) {
+      throw new Error('frontmatter must be a list of fields');
+    }
+    frontmatter = compileValue(requiredFields(data || {}));
+    body = source.slice(match[0].length);
+  }
+
+  return { frontmatter, body: parseTemplate(body) };
+}
+
+/**
+ * Compile a single line of template text, such as a folder pattern.
+ * Throws on syntax errors.
+ */
+export function compileText(source) {
+  return parseTemplate(source);
+}
+
+export function renderText(compiled, context) {
+  return renderNodes(compiled, context);
+}
+
+/**
+ * Render a compiled template. Returns { frontmatter, body }.
+ */
+export function renderTemplate(template, context) {
+  return {
+    frontmatter: renderValue(template.frontmatter || DEFAULT_TEMPLATE.frontmatter, context),
+    body: renderNodes(template.body, context),
+  };
+}
+
+function requiredFields(fields) {
+  // The duplicate index, `refresh --partial` and change detection read these
+  return {
+    url: '{{url}}',
+    ...fields,
+    status: fields.status ?? '{{status}}',
+    content_hash: fields.content_hash ?? '{{content_hash}}',
+  };
+}
+
+/**
+ * `key: {{value}}` isn't valid YAML (it reads as a flow mapping), so quote
+ * values and list items that start with an expression before parsing.
+ */
+function quoteExpressions(yaml) {
+  return yaml.replace(/^(\s*(?:-\s+|[^\s:#][^:]*:\s+))(\{\{.*?)\s*$/gm,
+    (line, prefix, value) => `${prefix}'${value.replace(/'/g, "''")}'`);
+}
+
+function compileValue(value) {
+  if (typeof value === 'string') {
+    const single = value.trim().match(/^\{\{\s*([^#/}][^}]*?)\s*\}\}$/);
+    if (single && single[1] !== 'else') return { expression: parseExpression(single[1]) };
+    return { nodes: parseTemplate(value) };
+  }
+  if (Array.isArray(value)) return { list: value.map(compileValue) };
+  if (value && typeof value === 'object') {
+    return { fields: Object.entries(value).map(([key, v]) => [key, compileValue(v)]) };
+  }
+  return { literal: value };
+}
+
+function renderValue(compiled, context) {
+  if ('expression' in compiled) return evaluate(compiled.expression, context) ?? null;
+  if ('nodes' in compiled) return renderNodes(compiled.nodes, context);
+  if ('list' in compiled) {
+    return compiled.list.map(item => renderValue(item, context)).flat().filter(v => !isEmpty(v));
+  }
+  if ('fields' in compiled) {
+    const result = {};
+    for (const [key, value] of compiled.fields) {
+      const rendered = renderValue(value, context);
+      if (!isEmpty(rendered)) result[key] = rendered;
+    }
+    return result;
+  }
+  return compiled.literal;
+}
+
+/**
+ * Parse template text into nodes: text, {{expression}} and
+ * {{#if expression}}...{{else}}...{{/if}} blocks. A block tag alone on its
+ * line takes the whole line with it, so templates can be laid out freely.
+ */
+function parseTemplate(source) {
+  const root = [];
+  const stack = [{ children: root }];
+  let last = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const tag = match[1];
+    let start = match.index;
+    let end = start + match[0].length;
+
+    const isBlock = tag.startsWith('#if') || tag === 'else' || tag === '/if';
+    if (isBlock) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+      if (lineStart >= last && !source.slice(lineStart, start).trim() && !source.slice(end, lineEnd).trim()) {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+
+    const current = stack[stack.length - 1];
+    if (start > last) current.children.push({ text: source.slice(last, start) });
+    last = end;
+
+    if (tag.startsWith('#if')) {
+      const node = { test: parseExpression(tag.slice(3)), then: [], else: [] };
+      current.children.push(node);
+      stack.push({ node, children: node.then });
+    } else if (tag === 'else') {
+      if (!current.node) throw new Error('{{else}} outside {{#if}}');
+      current.children = current.node.else;
+    } else if (tag === '/if') {
+      if (!current.node) throw new Error('{{/if}} without {{#if}}');
+      stack.pop();
+    } else {
+      current.children.push({ expression: parseExpression(tag) });
+    }
+  }
+
+  if (stack.length > 1) throw new Error('unclosed {{#if}}');
+  if (last < source.length) root.push({ text: source.slice(last) });
+  return root;
+}
+
+function renderNodes(nodes, context) {
+  let out = '';
+  for (const node of nodes) {
+    if ('text' in node) {
+      out += node.text;
+    } else if ('expression' in node) {
+      out += toText(evaluate(node.expression, context));
+    } else {
+      out += renderNodes(isEmpty(evaluate(node.test, context)) ? node.else : node.then, context);
+    }
+  }
+  return out;
+}
+
+/**
+ * `name | filter:"arg",2 | filter`
+ */
+function parseExpression(source) {
+  const [path, ...filterParts] = splitOutside(source, '|');
+  const name = path.trim();
+  if (!/^[\w.]+$/.test(name)) throw new Error(`invalid expression {{${source.trim()}}}`);
+
+  const filters = filterParts.map(part => {
+    const colon = part.indexOf(':');
+    const filter = (colon === -1 ? part : part.slice(0, colon)).trim();
+    if (!FILTERS[filter]) throw new Error(`unknown filter "${filter}"`);
+    const args = colon === -1 ? [] : splitOutside(part.slice(colon + 1), ',').map(parseArgument);
+    return { filter, args };
+  });
+
+  return { path: name.split('.'), filters };
+}
+
+function evaluate({ path, filters }, context) {
+  let value = path.reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+  for (const { filter, args } of filters) value = FILTERS[filter](value, ...args);
+  return value;
+}
+
+function splitOutside(source, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (const char of source) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+function parseArgument(raw) {
+  const arg = raw.trim();
+  const quoted = arg.match(/^(["'])([\s\S]*)\1$/);
+  if (quoted) return quoted[2];
+  return arg !== '' && !isNaN(Number(arg)) ? Number(arg) : arg;
+}
+
+/**
+ * Format a date with YYYY, MM, DD, MMMM, ddd, HH, mm, ... tokens (UTC, like
+ * the `saved` date). Text in [brackets] is kept literally.
+ */
+export function formatDate(value, format) {
+  if (isEmpty(value)) return value;
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return value;
+
+  const pad = n => String(n).padStart(2, '0');
+  const tokens = {
+    YYYY: () => String(date.getUTCFullYear()),
+    YY: () => String(date.getUTCFullYear()).slice(-2),
+    MMMM: () => MONTHS[date.getUTCMonth()],
+    MMM: () => MONTHS[date.getUTCMonth()].slice(0, 3),
+    MM: () => pad(date.getUTCMonth() + 1),
+    M: () => String(date.getUTCMonth() + 1),
+    dddd: () => DAYS[date.getUTCDay()],
+    ddd: () => DAYS[date.getUTCDay()].slice(0, 3),
+    DD: () => pad(date.getUTCDate()),
+    D: () => String(date.getUTCDate()),
+    HH: () => pad(date.getUTCHours()),
+    mm: () => pad(date.getUTCMinutes()),
+    ss: () => pad(date.getUTCSeconds()),
+  };
+  return String(format).replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D|HH|mm|ss/g,
+    (token, literal) => (literal !== undefined ? literal : tokens[token]()));
+}
+
+function mapValue(value, fn) {
+  return Array.isArray(value) ? value.map(fn) : fn(value);
+}
+
+function mapText(value, fn) {
+  if (Array.isArray(value)) return value.map(v => (typeof v === 'string' ? fn(v) : v));
+  return typeof value === 'string' ? fn(value) : value;
+}
+
+function toText(value) {
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  return String(value);
+}
+
+function isEmpty(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
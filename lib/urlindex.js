@@ -0,0 +1,215 @@
+/**
+ * Persistent URL index for saved articles.
+ * Maps normalized URL → { file, title, saved, hash } in <root>/.index.json
+ * so duplicate checks don't have to read every note on each save. `root` is
+ * the notes root folder from the layout, and `file` is relative to the vault.
+ *
+ * The index reconciles itself against the directory listing on every load:
+ * entries for notes that were renamed or deleted in Obsidian are dropped, and
+ * notes it hasn't seen yet are scanned and added. Notes without a url
+ * (daily notes, hubs, your own writing) are remembered with their mtime in
+ * `skipped`, so they are only read again after they change.
+ *
+ * URLs from notes are normalized with the current rules (`rules` is the
+ * config's urlRules), so notes saved before a rule changed still match.
+ * `readOnly` (dry runs) reconciles in memory without writing the index.
+ */
+
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+import { atomicWrite } from './atomic.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { DEFAULT_FOLDER } from './slugify.js';
+import { normalizeUrl } from './normalize.js';
+
+// Version 2: `file` is relative to the vault instead of Articles/
+// Version 3: stored URLs are normalized with the current rules
+const INDEX_VERSION = 3;
+
+export function indexPath(vaultPath, root = DEFAULT_FOLDER) {
+  return join(vaultPath, root, '.index.json');
+}
+
+/**
+ * Short content hash of a note body (everything after the frontmatter).
+ */
+export function contentHash(body) {
+  return createHash('sha256').update(body.trim()).digest('hex').slice(0, 16);
+}
+
+async function readIndexFile(vaultPath, root) {
+  try {
+    const parsed = JSON.parse(await readFile(indexPath(vaultPath, root), 'utf-8'));
+    if (parsed?.version !== INDEX_VERSION || !parsed.entries || typeof parsed.entries !== 'object') {
+      return null;
+    }
+    const skipped = parsed.skipped && typeof parsed.skipped === 'object' ? parsed.skipped : {};
+    return { entries: parsed.entries, skipped };
+  } catch {
+    return null;
+  }
+}
+
+async function writeIndexFile(vaultPath, root, { entries, skipped }) {
+  await atomicWrite(indexPath(vaultPath, root), JSON.stringify({ version: INDEX_VERSION, entries, skipped }, null, 2));
+}
+
+async function mtimeOf(vaultPath, file) {
+  try {
+    return (await stat(join(vaultPath, file))).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Every note under the notes root, as vault-relative paths. Articles/ is
+ * included too, so notes saved before the layout changed are still found.
+ */
+export async function listNotes(vaultPath, root = DEFAULT_FOLDER) {
+  const notes = new Set();
+  for (const folder of new Set([root, DEFAULT_FOLDER])) {
+    for (const file of await walk(vaultPath, folder)) notes.add(file);
+  }
+  return [...notes];
+}
+
+async function walk(vaultPath, folder) {
+  let entries;
+  try {
+    entries = await readdir(join(vaultPath, folder), { withFileTypes: true });
+  } catch {
+    // Folder doesn't exist yet
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    // Skip .obsidian, .trash and our own state files
+    if (entry.name.startsWith('.')) continue;
+    const path = folder ? `${folder}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await walk(vaultPath, path));
+    } else if (entry.name.endsWith('.md')) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+/**
+ * Read one note and return its index entries ([url, entry] pairs) — one
+ * for the primary url and one per url_aliases entry.
+ */
+async function scanNote(vaultPath, file, rules) {
+  let content;
+  try {
+    content = await readFile(join(vaultPath, file), 'utf-8');
+  } catch {
+    return [];
+  }
+
+  const { data, body } = parseFrontmatter(content);
+  if (!data || typeof data.url !== 'string') return [];
+
+  const entry = {
+    file,
+    title: data.title != null ? String(data.title) : null,
+    saved: data.saved != null ? String(data.saved) : null,
+    hash: contentHash(body),
+  };
+  const aliases = Array.isArray(data.url_aliases) ? data.url_aliases.filter(u => typeof u === 'string') : [];
+  const urls = new Set([data.url, ...aliases].map(url => normalizeUrl(url.trim(), rules) || url.trim()));
+  return [...urls].map(url => [url, entry]);
+}
+
+/**
+ * Load the index, reconciling it with the notes actually on disk.
+ * Persists the index when anything changed.
+ */
+export async function loadIndex(vaultPath, { root, rules, readOnly = false } = {}) {
+  return (await reconcile(vaultPath, { root, rules, readOnly })).entries;
+}
+
+async function reconcile(vaultPath, { root, rules, readOnly }) {
+  const notes = await listNotes(vaultPath, root);
+  const stored = await readIndexFile(vaultPath, root);
+  if (!stored) return rebuild(vaultPath, { root, rules, notes, readOnly });
+
+  const present = new Set(notes);
+  const entries = {};
+  const skipped = {};
+  const indexed = new Set();
+  let changed = false;
+
+  for (const [url, entry] of Object.entries(stored.entries)) {
+    if (entry && present.has(entry.file)) {
+      entries[url] = entry;
+      indexed.add(entry.file);
+    } else {
+      changed = true; // renamed or deleted
+    }
+  }
+
+  for (const file of notes) {
+    if (indexed.has(file)) continue;
+    const mtime = await mtimeOf(vaultPath, file);
+    if (mtime !== null && stored.skipped[file] === mtime) {
+      skipped[file] = mtime;
+      continue;
+    }
+    const scanned = await scanNote(vaultPath, file, rules);
+    for (const [url, entry] of scanned) entries[url] = entry;
+    if (scanned.length === 0 && mtime !== null) skipped[file] = mtime;
+    changed = true;
+  }
+  // Skipped notes that were deleted
+  if (Object.keys(stored.skipped).some(file => !(file in skipped))) changed = true;
+
+  const index = { entries, skipped };
+  if (changed && !readOnly) await writeIndexFile(vaultPath, root, index);
+  return index;
+}
+
+/**
+ * Rebuild the index from scratch by scanning every note.
+ */
+export async function rebuildIndex(vaultPath, { root, rules, notes, readOnly = false } = {}) {
+  return (await rebuild(vaultPath, { root, rules, notes, readOnly })).entries;
+}
+
+async function rebuild(vaultPath, { root, rules, notes, readOnly }) {
+  const entries = {};
+  const skipped = {};
+  for (const file of notes || await listNotes(vaultPath, root)) {
+    const scanned = await scanNote(vaultPath, file, rules);
+    for (const [url, entry] of scanned) entries[url] = entry;
+    if (scanned.length === 0) {
+      const mtime = await mtimeOf(vaultPath, file);
+      if (mtime !== null) skipped[file] = mtime;
+    }
+  }
+  const index = { entries, skipped };
+  if (!readOnly) await writeIndexFile(vaultPath, root, index);
+  return index;
+}
+
+/**
+ * Record a newly written note under its URL and any aliases.
+ * `file` is relative to the vault; `body` is the note content after
+ * frontmatter.
+ */
+export async function recordArticle(vaultPath, { url, aliases = [], file, title, saved, body }, { root, rules } = {}) {
+  const index = await reconcile(vaultPath, { root, rules, readOnly: true });
+  const { entries } = index;
+  const entry = {
+    file,
+    title: title || null,
+    saved: saved || new Date().toISOString().split('T')[0],
+    hash: contentHash(body || ''),
+  };
+  for (const key of [url, ...aliases]) entries[key] = entry;
+  delete index.skipped[file];
+  await writeIndexFile(vaultPath, root, index);
+}
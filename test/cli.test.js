@@ -0,0 +1,123 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseFrontmatter } from '../lib/frontmatter.js';
+
+const CLI = fileURLToPath(new URL('../index.js', import.meta.url));
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'clawsidian-test-'));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Run the CLI against a fresh vault with no user config or API keys.
+ * Resolves to { code, result } with the parsed --json output.
+ */
+function run(vault, args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args, '--vault', vault, '--json', '--no-summary'], {
+      env: { PATH: process.env.PATH, HOME: dir },
+      timeout: 60000,
+    }, (err, stdout) => {
+      resolve({ code: err ? err.code : 0, result: JSON.parse(stdout) });
+    });
+  });
+}
+
+async function newVault(name) {
+  const vault = join(dir, name);
+  await mkdir(join(vault, '.obsidian'), { recursive: true });
+  return vault;
+}
+
+function page(title, canonical, text) {
+  return `<!doctype html><html><head><title>${title}</title>
+<link rel="canonical" href="${canonical}"><meta property="og:url" content="${canonical}">
+</head><body><article><h1>${title}</h1>${`<p>${text}</p>`.repeat(6)}</article></body></html>`;
+}
+
+async function saveHtml(vault, name, html, url) {
+  const file = join(dir, `${name}.html`);
+  await writeFile(file, html);
+  return run(vault, ['save', '--file', file, '--url', url]);
+}
+
+test('articles sharing a homepage canonical are saved separately', async () => {
+  const vault = await newVault('root-canonical');
+  const first = await saveHtml(vault, 'budget', page('Budget vote delayed', 'https://news.test/',
+    'The council postponed the budget vote after a late amendment changed the spending plan.'), 'https://news.test/2026/budget-vote');
+  assert.equal(first.code, 0);
+  assert.equal(first.result.url, 'https://news.test/2026/budget-vote');
+
+  const second = await saveHtml(vault, 'storm', page('Storm closes schools', 'https://news.test/',
+    'Heavy snow and strong winds closed every school in the district for a second day.'), 'https://news.test/2026/storm');
+  assert.equal(second.code, 0, second.result.error);
+  assert.equal(second.result.url, 'https://news.test/2026/storm');
+
+  const { data } = parseFrontmatter(await readFile(join(vault, second.result.file), 'utf-8'));
+  assert.equal(data.url, 'https://news.test/2026/storm');
+  assert.equal(data.url_aliases, undefined);
+});
+
+test('a canonical on the same site becomes an alias and matches duplicates', async () => {
+  const vault = await newVault('amp-canonical');
+  const text = 'Researchers found that returns on effort compound over decades for a small group.';
+  const amp = await saveHtml(vault, 'amp', page('Returns', 'https://blog.test/returns', text), 'https://blog.test/returns/amp');
+  assert.equal(amp.code, 0, amp.result.error);
+  assert.equal(amp.result.url, 'https://blog.test/returns/amp');
+
+  const { data } = parseFrontmatter(await readFile(join(vault, amp.result.file), 'utf-8'));
+  assert.deepEqual(data.url_aliases, ['https://blog.test/returns']);
+
+  const again = await saveHtml(vault, 'plain', page('Returns', 'https://blog.test/returns', text), 'https://blog.test/returns');
+  assert.equal(again.code, 1);
+  assert.equal(again.result.duplicate, true);
+});
+
+test('a canonical on another domain is ignored', async () => {
+  const vault = await newVault('foreign-canonical');
+  const saved = await saveHtml(vault, 'foreign', page('Mirror', 'https://other.test/original',
+    'A copy of an essay about gardening in small spaces, reposted with permission.'), 'https://mirror.test/essay');
+  assert.equal(saved.code, 0, saved.result.error);
+  const { data } = parseFrontmatter(await readFile(join(vault, saved.result.file), 'utf-8'));
+  assert.equal(data.url_aliases, undefined);
+});
+
+test('refresh leaves a note without markers alone unless forced', async () => {
+  const vault = await newVault('no-markers');
+  await mkdir(join(vault, 'Articles'), { recursive: true });
+  const note = `---
+url: https://example.com/post
+saved: 2026-01-10
+title: Old Post
+tags:
+  - essays
+status: complete
+---
+
+# Old Post
+
+The article as it was saved.
+
+## My notes
+
+Something I typed myself.
+`;
+  const file = join(vault, 'Articles', 'Old Post (2026-01-10).md');
+  await writeFile(file, note);
+
+  const refreshed = await run(vault, ['refresh', 'Articles/Old Post (2026-01-10).md']);
+  assert.equal(refreshed.code, 1);
+  assert.match(refreshed.result.error, /--force/);
+  assert.equal(await readFile(file, 'utf-8'), note);
+});
@@ -0,0 +1,28 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { localDate, dailyNotePath } from '../lib/daily.js';
+
+const tz = process.env.TZ;
+
+after(() => {
+  if (tz === undefined) delete process.env.TZ;
+  else process.env.TZ = tz;
+});
+
+test('localDate uses the local day, not the UTC one', () => {
+  process.env.TZ = 'America/Los_Angeles';
+  // 20:30 on March 1st in California is already March 2nd in UTC
+  assert.equal(localDate(new Date('2026-03-02T04:30:00Z')), '2026-03-01');
+  process.env.TZ = 'Asia/Tokyo';
+  assert.equal(localDate(new Date('2026-03-01T20:30:00Z')), '2026-03-02');
+});
+
+test('dailyNotePath formats the date into the folder', () => {
+  assert.equal(dailyNotePath('2026-03-01', { folder: 'Daily', format: 'YYYY/MM/YYYY-MM-DD' }), 'Daily/2026/03/2026-03-01.md');
+  assert.equal(dailyNotePath('2026-03-01'), '2026-03-01.md');
+});
+
+test('dailyNotePath refuses formats that leave the vault', () => {
+  assert.equal(dailyNotePath('2026-03-01', { format: '[../../etc/]YYYY' }), null);
+  assert.equal(dailyNotePath('2026-03-01', { format: '[/tmp/]YYYY' }), null);
+});
@@ -0,0 +1,38 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fetchImages, localizeImages } from '../lib/images.js';
+
+let vault;
+
+beforeEach(async () => {
+  vault = await mkdtemp(join(tmpdir(), 'clawsidian-images-'));
+});
+
+afterEach(async () => {
+  await rm(vault, { recursive: true, force: true });
+});
+
+test('fetchImages skips private hosts without requesting them', async () => {
+  const images = await fetchImages('![a](http://127.0.0.1/a.png) ![b](/b.png)', { baseUrl: 'http://localhost/post' });
+  assert.deepEqual([...images.entries()], [['http://127.0.0.1/a.png', null], ['http://localhost/b.png', null]]);
+});
+
+test('localizeImages writes downloaded images and links them', async () => {
+  const png = Buffer.from('fake png');
+  const images = new Map([
+    ['https://example.com/a.png', { data: png, ext: 'png' }],
+    ['https://example.com/missing.png', null],
+  ]);
+  const markdown = '![A chart](https://example.com/a.png)\n\n![](/missing.png)';
+  const result = await localizeImages(markdown, images, { vaultPath: vault, folder: 'Attachments', baseUrl: 'https://example.com/post' });
+
+  const [file] = await readdir(join(vault, 'Attachments'));
+  assert.deepEqual(await readFile(join(vault, 'Attachments', file)), png);
+  assert.equal(result.content, `![[Attachments/${file}|A chart]]\n\n![](/missing.png)`);
+  assert.equal(result.saved, 1);
+  assert.equal(result.skipped, 1);
+});
+
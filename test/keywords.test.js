@@ -0,0 +1,47 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, readFile, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadCorpus } from '../lib/keywords.js';
+import { collectTags } from '../lib/tagging.js';
+
+let vault;
+
+beforeEach(async () => {
+  vault = await mkdtemp(join(tmpdir(), 'clawsidian-keywords-'));
+  await mkdir(join(vault, 'Articles'));
+  await writeFile(join(vault, 'Articles', 'a.md'), '---\nurl: https://example.com/a\ntags:\n  - AI\n  - machine learning\n---\n\nMachine learning models learn patterns.\n');
+  await writeFile(join(vault, 'Articles', 'b.md'), '---\nurl: https://example.com/b\ntags: [ai, untagged]\n---\n\nGardens grow slowly.\n');
+  await writeFile(join(vault, 'Articles', 'plain.md'), '---\ntags: [gardening]\n---\n\nA note of my own.\n');
+});
+
+afterEach(async () => {
+  await rm(vault, { recursive: true, force: true });
+});
+
+test('loadCorpus counts articles and the tags of every note', async () => {
+  const corpus = await loadCorpus(vault, { root: 'Articles' });
+  assert.equal(corpus.docs, 2);
+  assert.equal(corpus.df.get('learn'), 1);
+  assert.deepEqual(collectTags(corpus), ['ai', 'gardening', 'machine-learning']);
+});
+
+test('loadCorpus takes unchanged notes from the cache', async () => {
+  await loadCorpus(vault, { root: 'Articles' });
+  const cache = join(vault, 'Articles', '.keywords.json');
+  const parsed = JSON.parse(await readFile(cache, 'utf-8'));
+  parsed.notes['Articles/a.md'].tags = ['from-cache'];
+  await writeFile(cache, JSON.stringify(parsed));
+  const written = (await stat(cache)).mtimeMs;
+
+  const corpus = await loadCorpus(vault, { root: 'Articles' });
+  assert.deepEqual(collectTags(corpus), ['ai', 'from-cache', 'gardening']);
+  assert.equal((await stat(cache)).mtimeMs, written);
+});
+
+test('loadCorpus does not write the cache when read-only', async () => {
+  const corpus = await loadCorpus(vault, { root: 'Articles', readOnly: true });
+  assert.equal(corpus.docs, 2);
+  await assert.rejects(stat(join(vault, 'Articles', '.keywords.json')), { code: 'ENOENT' });
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { START_MARKER, END_MARKER, splitRegions, renderNote, mergeNote, mergeFrontmatter } from '../lib/note.js';
+import { parseFrontmatter } from '../lib/frontmatter.js';
+
+const saved = {
+  url: 'https://example.com/post',
+  saved: '2026-02-15',
+  title: 'Old Title',
+  tags: ['returns', 'growth'],
+  status: 'complete',
+  content_hash: 'aaaa',
+};
+
+const fresh = {
+  url: 'https://example.com/post',
+  saved: '2026-03-01',
+  title: 'New Title',
+  tags: ['superlinear', 'performance'],
+  status: 'complete',
+  content_hash: 'bbbb',
+};
+
+function withUserText(content, before, after) {
+  const { body } = parseFrontmatter(content);
+  const { machine } = splitRegions(body);
+  return content.replace(body, `\n${before}${START_MARKER}\n${machine}${END_MARKER}\n${after}`);
+}
+
+test('splitRegions separates user text from the machine region', () => {
+  const body = `\nAbove\n\n${START_MARKER}\n# Title\n\nArticle\n\n${END_MARKER}\nBelow\n`;
+  const regions = splitRegions(body);
+  assert.equal(regions.delimited, true);
+  assert.equal(regions.before, 'Above\n\n');
+  assert.equal(regions.machine, '# Title\n\nArticle\n\n');
+  assert.equal(regions.after, 'Below\n');
+});
+
+test('splitRegions treats a body without markers as all machine', () => {
+  const regions = splitRegions('# Title\n\nArticle\n');
+  assert.equal(regions.delimited, false);
+  assert.equal(regions.machine, '# Title\n\nArticle\n');
+  assert.equal(regions.before, '');
+  assert.equal(regions.after, '');
+});
+
+test('mergeNote keeps user text before and after the markers', () => {
+  const note = withUserText(renderNote(saved, '# Old Title\n\nOld article'), 'My intro\n\n', 'My notes\n\n- a point\n');
+  const merged = mergeNote(note, fresh, '# New Title\n\nNew article');
+  const { body } = parseFrontmatter(merged);
+  const regions = splitRegions(body);
+
+  assert.equal(regions.before, 'My intro\n\n');
+  assert.equal(regions.after, 'My notes\n\n- a point\n');
+  assert.match(regions.machine, /New article/);
+  assert.doesNotMatch(regions.machine, /Old article/);
+});
+
+test('mergeNote keeps frontmatter keys it does not know', () => {
+  const note = renderNote({ ...saved, rating: 5, project: '[[Research]]' }, 'Old article');
+  const { data } = parseFrontmatter(mergeNote(note, fresh, 'New article'));
+  assert.equal(data.rating, 5);
+  assert.equal(data.project, '[[Research]]');
+  assert.equal(data.title, 'New Title');
+  assert.equal(data.content_hash, 'bbbb');
+});
+
+test('mergeNote keeps saved and tags, and replaces tags only when asked', () => {
+  const note = renderNote(saved, 'Old article');
+
+  const kept = parseFrontmatter(mergeNote(note, fresh, 'New article')).data;
+  assert.equal(kept.saved, '2026-02-15');
+  assert.deepEqual(kept.tags, ['returns', 'growth']);
+
+  const replaced = parseFrontmatter(mergeNote(note, fresh, 'New article', { replaceTags: true })).data;
+  assert.equal(replaced.saved, '2026-02-15');
+  assert.deepEqual(replaced.tags, ['superlinear', 'performance']);
+});
+
+test('mergeNote replaces placeholder tags', () => {
+  const note = renderNote({ ...saved, tags: ['untagged'], status: 'partial' }, 'Preview');
+  const { data } = parseFrontmatter(mergeNote(note, fresh, 'Full article'));
+  assert.deepEqual(data.tags, ['superlinear', 'performance']);
+  assert.equal(data.status, 'complete');
+});
+
+test('mergeNote keeps fields listed in userFields', () => {
+  const note = renderNote({ ...saved, title: 'My Title' }, 'Old article');
+  const { data } = parseFrontmatter(mergeNote(note, fresh, 'New article', { userFields: ['title'] }));
+  assert.equal(data.title, 'My Title');
+});
+
+test('mergeNote drops machine fields the fresh frontmatter no longer has', () => {
+  const note = renderNote({ ...saved, status: 'partial', warning: 'Content may be incomplete' }, 'Preview');
+  const { data } = parseFrontmatter(mergeNote(note, fresh, 'Full article'));
+  assert.equal(data.warning, undefined);
+});
+
+test('two merges in a row give the same note', () => {
+  const note = withUserText(renderNote({ ...saved, rating: 5 }, 'Old article'), 'Intro\n\n', 'Notes\n');
+  const once = mergeNote(note, fresh, '# New Title\n\nNew article');
+  const twice = mergeNote(once, fresh, '# New Title\n\nNew article');
+  assert.equal(twice, once);
+
+  const regions = splitRegions(parseFrontmatter(twice).body);
+  assert.equal(regions.before, 'Intro\n\n');
+  assert.equal(regions.after, 'Notes\n');
+});
+
+test('mergeFrontmatter keeps the user\'s aliases and cssclasses', () => {
+  const merged = mergeFrontmatter(
+    { aliases: ['My own alias', 'Page alt'], cssclasses: ['clawsidian', 'wide'] },
+    { aliases: ['Page alt', 'New alt'], cssclasses: ['clawsidian'] },
+  );
+  assert.deepEqual(merged.aliases, ['My own alias', 'Page alt', 'New alt']);
+  assert.deepEqual(merged.cssclasses, ['clawsidian', 'wide']);
+});
+
+test('mergeFrontmatter adds to a single-string alias', () => {
+  const merged = mergeFrontmatter({ aliases: 'Mine' }, { aliases: ['Page alt'] });
+  assert.deepEqual(merged.aliases, ['Mine', 'Page alt']);
+});